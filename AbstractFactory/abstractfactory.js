@@ -0,0 +1,261 @@
+/**
+ * ABSTRACT FACTORY DESIGN PATTERN (aka Kit)
+ *
+ * Intent: provide an interface for creating families of related or dependent objects without specifying their concrete classes.
+ *
+ * Participants:
+ * *AbstractFactory - declares an interface for operations that create abstract products
+ * *ConcreteFactory - implements the operations to create concrete product objects (one per family)
+ * *AbstractProduct - declares an interface for a type of product object
+ * *ConcreteProduct - the product created by the matching concrete factory
+ * *Client - only uses the interfaces declared by AbstractFactory and AbstractProduct
+ *
+ * ? Consequences:
+ * ? - isolates concrete classes - product class names don't show up in client code
+ * ? - makes exchanging product families easy - the concrete factory appears in exactly one place, swap it and every product changes
+ * ? - promotes consistency among products - a family's products are designed to be used together
+ * ? - supporting new kinds of products is hard - the AbstractFactory interface fixes the set of products that can be created
+ *
+ * * Implementation: concrete factories are usually Singletons, and are often implemented with Factory Methods (one per product).
+ * * Here each family delegates to a WidgetCreator (see ../FactoryMethod) so the widgets themselves still come out of the factory method.
+ * * Every family brings its own widget classes and registers them with the creator under family types ('toy-bouncer', ...).
+ * */
+
+const { WidgetCreator, Widget } = require('../FactoryMethod/factorymethod')
+
+// CONCRETE WIDGET PRODUCTS - one class per family and kind, so switching families switches the classes too
+class ToyBouncer extends Widget {
+  constructor(options) {
+    super(options)
+    this.id = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
+    this.wType = 'toy-bouncer'
+  }
+  move() {
+    return this.report('move', "boing, boing")
+  }
+
+  speak() {
+    return this.report('speak', "Again! Again!")
+  }
+}
+
+class ToyRoller extends Widget {
+  constructor(options) {
+    super(options)
+    this.id = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
+    this.wType = 'toy-roller'
+  }
+  move() {
+    return this.report('move', "wheee, down the stairs")
+  }
+
+  speak() {
+    return this.report('speak', "Round and round I go")
+  }
+}
+
+class ShockAbsorber extends Widget {
+  constructor(options) {
+    super(options)
+    this.id = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
+    this.wType = 'shock-absorber'
+  }
+  move() {
+    return this.report('move', "compress, rebound, settle")
+  }
+
+  speak() {
+    return this.report('speak', "Load within tolerance")
+  }
+}
+
+class ConveyorRoller extends Widget {
+  constructor(options) {
+    super(options)
+    this.id = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
+    this.wType = 'conveyor-roller'
+  }
+  move() {
+    return this.report('move', "clack, clack, clack")
+  }
+
+  speak() {
+    return this.report('speak', "Next crate, please")
+  }
+}
+
+ToyBouncer.label = 'Toy Bouncer'
+ToyRoller.label = 'Toy Roller'
+ShockAbsorber.label = 'Shock Absorber'
+ConveyorRoller.label = 'Conveyor Roller'
+
+// ABSTRACT PRODUCT - accessories belong to a family just like the widgets do
+class Accessory {
+  constructor(family, widget) {
+    if (this.constructor === Accessory) {
+      throw new Error("Abstract classes can't be instantiated");
+    }
+    this.family = family
+    this.widgetId = widget ? widget.id : null
+    this.name = null
+  }
+
+  describe() {
+    throw new Error("Method 'describe()' must be implemented")
+  }
+}
+
+// CONCRETE PRODUCTS
+class Sticker extends Accessory {
+  constructor(widget) {
+    super('toy', widget)
+    this.name = 'sticker'
+  }
+
+  describe() {
+    return `a glittery sticker for widget ${this.widgetId}`
+  }
+}
+
+class MountingBracket extends Accessory {
+  constructor(widget) {
+    super('industrial', widget)
+    this.name = 'mounting bracket'
+    this.loadRating = widget && widget.weight ? widget.weight * 2 : null
+  }
+
+  describe() {
+    return `a steel mounting bracket rated for ${this.loadRating} for widget ${this.widgetId}`
+  }
+}
+
+// ABSTRACT FACTORY
+class WidgetFamilyFactory {
+  constructor(creator = new WidgetCreator()) {
+    if (this.constructor === WidgetFamilyFactory) {
+      throw new Error("Abstract classes can't be instantiated");
+    }
+    this.creator = creator
+    this.family = null
+    // a family's widget types are registered on first use - factories of the same family can share a creator,
+    // but a type key already taken by some other class would quietly swap the family's products, so that throws
+    Object.entries(this.constructor.widgetTypes || {}).forEach(([wType, { WidgetClass, defaults }]) => {
+      if (!creator.registry.has(wType)) {
+        creator.registerType(wType, WidgetClass, { defaults })
+      } else if (creator.registry.get(wType).WidgetClass !== WidgetClass) {
+        throw new Error(`Widget type '${wType}' is already registered with another class - the ${this.constructor.name} needs ${WidgetClass.name}`)
+      }
+    })
+  }
+
+  createBouncer() {
+    throw new Error("Method 'createBouncer()' must be implemented")
+  }
+
+  createRoller() {
+    throw new Error("Method 'createRoller()' must be implemented")
+  }
+
+  createAccessory(widget) {
+    throw new Error("Method 'createAccessory()' must be implemented")
+  }
+
+  createKit() {
+    // a kit is a coordinated set - every product comes from this one family
+    const widgets = [this.createBouncer(), this.createRoller()]
+    return { family: this.family, widgets, accessories: widgets.map(widget => this.createAccessory(widget)) }
+  }
+}
+
+// CONCRETE FACTORIES
+class ToyFamilyFactory extends WidgetFamilyFactory {
+  constructor(creator) {
+    super(creator)
+    this.family = 'toy'
+  }
+
+  createBouncer() {
+    return this.creator.createWidget('toy-bouncer')
+  }
+
+  createRoller() {
+    return this.creator.createWidget('toy-roller')
+  }
+
+  createAccessory(widget) {
+    return new Sticker(widget)
+  }
+}
+
+class IndustrialFamilyFactory extends WidgetFamilyFactory {
+  constructor(creator) {
+    super(creator)
+    this.family = 'industrial'
+  }
+
+  createBouncer() {
+    return this.creator.createWidget('shock-absorber')
+  }
+
+  createRoller() {
+    return this.creator.createWidget('conveyor-roller')
+  }
+
+  createAccessory(widget) {
+    return new MountingBracket(widget)
+  }
+}
+
+ToyFamilyFactory.widgetTypes = {
+  'toy-bouncer': { WidgetClass: ToyBouncer, defaults: { name: 'Toy Bouncer', color: 'red', weight: 1 } },
+  'toy-roller': { WidgetClass: ToyRoller, defaults: { name: 'Toy Roller', color: 'yellow', weight: 1 } },
+}
+
+IndustrialFamilyFactory.widgetTypes = {
+  'shock-absorber': { WidgetClass: ShockAbsorber, defaults: { name: 'Shock Absorber', color: 'grey', weight: 40 } },
+  'conveyor-roller': { WidgetClass: ConveyorRoller, defaults: { name: 'Conveyor Roller', color: 'grey', weight: 120 } },
+}
+
+const families = {
+  toy: ToyFamilyFactory,
+  industrial: IndustrialFamilyFactory,
+}
+
+// CLIENT - only ever talks to the WidgetFamilyFactory interface
+class WidgetShop {
+  constructor(family = 'toy', creator = new WidgetCreator()) {
+    this.creator = creator
+    this.setFamily(family)
+  }
+
+  setFamily(family) {
+    // accepts a family name or a ready-made factory - swapping it swaps every product at once
+    if (family instanceof WidgetFamilyFactory) {
+      this.factory = family
+      return this
+    }
+    const Factory = families[family]
+    if (!Factory) {
+      throw new Error(`Unknown widget family '${family}'. Known families: ${Object.keys(families).join(', ')}`)
+    }
+    this.factory = new Factory(this.creator)
+    return this
+  }
+
+  stock() {
+    return this.factory.createKit()
+  }
+}
+
+function run() {
+  const shop = new WidgetShop('toy')
+  shop.stock().accessories.forEach(accessory => console.log(accessory.describe()))
+
+  shop.setFamily('industrial')
+  shop.stock().accessories.forEach(accessory => console.log(accessory.describe()))
+}
+
+module.exports = {
+  WidgetFamilyFactory, ToyFamilyFactory, IndustrialFamilyFactory, families,
+  ToyBouncer, ToyRoller, ShockAbsorber, ConveyorRoller, Accessory, Sticker, MountingBracket, WidgetShop, run
+}
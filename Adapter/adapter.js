@@ -75,22 +75,844 @@ function AdvancedShipping() {
   this.calculate = function (weight) { return "39.50"; }
 }
 
-//TODO: adapter interface
-function ShippingAdapter(credentials) {
-  var shippping = new AdvancedShipping();
+// * normalizing inputs and outputs - the two interfaces disagree on formats as well as on method names,
+// * so the adapter layer converts zips and weights on the way in and prices on the way out
 
-  shippping.login(credentials);
+class ShippingInputError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = "ShippingInputError";
+    this.field = field;
+  }
+}
+
+// canonical weight unit is pounds
+var POUNDS_PER_UNIT = {
+  lb: 1, lbs: 1, pound: 1, pounds: 1,
+  oz: 1 / 16, ounce: 1 / 16, ounces: 1 / 16,
+  kg: 2.20462262, kgs: 2.20462262, kilogram: 2.20462262, kilograms: 2.20462262,
+  g: 0.00220462262, gram: 0.00220462262, grams: 0.00220462262
+};
+
+function parseWeight(weight) {
+  // bare numbers (and numeric strings without a unit) are taken to be pounds already;
+  // an already-parsed { value, unit: "lb" } still has its value checked
+  if (weight && typeof weight === "object" && weight.unit === "lb") weight = weight.value;
+  if (typeof weight === "number") {
+    if (!isFinite(weight) || weight <= 0) {
+      throw new ShippingInputError("weight", "Weight must be a positive number, got " + weight);
+    }
+    return { value: weight, unit: "lb" };
+  }
+  var match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]+)?\s*$/i.exec(String(weight));
+  if (!match) {
+    throw new ShippingInputError("weight", "Can't parse weight '" + weight + "' - expected something like '2lbs', '12 oz', '1.5kg' or '500g'");
+  }
+  var factor = match[2] ? POUNDS_PER_UNIT[match[2].toLowerCase()] : 1;
+  if (!factor) {
+    throw new ShippingInputError("weight", "Unknown weight unit '" + match[2] + "' - use lbs, oz, kg or g");
+  }
+  var value = parseFloat(match[1]) * factor;
+  if (value <= 0) {
+    throw new ShippingInputError("weight", "Weight must be greater than zero, got '" + weight + "'");
+  }
+  return { value: Math.round(value * 10000) / 10000, unit: "lb" };
+}
+
+function parseZip(zip, field) {
+  var value = String(zip === undefined || zip === null ? "" : zip).trim();
+  if (!/^\d{5}(-\d{4})?$/.test(value)) {
+    throw new ShippingInputError(field || "zip", "Invalid zip code '" + zip + "' - expected 12345 or 12345-6789");
+  }
+  return value;
+}
+
+var CURRENCY_SYMBOLS = { "$": "USD", "€": "EUR", "£": "GBP" };
+
+function Money(amount, currency) {
+  this.amount = Math.round(amount * 100) / 100;
+  this.currency = currency || "USD";
+}
+
+Money.prototype = {
+  toString: function () {
+    var symbol = Object.keys(CURRENCY_SYMBOLS).find(function (key) {
+      return CURRENCY_SYMBOLS[key] === this.currency;
+    }, this);
+    return symbol ? symbol + this.amount.toFixed(2) : this.amount.toFixed(2) + " " + this.currency;
+  },
+  toJSON: function () {
+    return { amount: this.amount, currency: this.currency };
+  }
+}
+
+function toMoney(price, defaultCurrency) {
+  // accepts numbers, "$49.75", "39.50", "12.00 EUR" or an existing Money
+  if (price instanceof Money) return price;
+  if (typeof price === "number" && isFinite(price)) return new Money(price, defaultCurrency);
+  var text = String(price).trim();
+  var match = /^([$€£])?\s*(\d+(?:\.\d+)?)\s*([A-Z]{3})?$/.exec(text);
+  if (!match) throw new ShippingInputError("price", "Can't parse price '" + price + "'");
+  var currency = match[3] || CURRENCY_SYMBOLS[match[1]] || defaultCurrency;
+  return new Money(parseFloat(match[2]), currency);
+}
+
+// * session lifecycle - the adapter owns the AdvancedShipping session so clients never see login at all.
+// * It logs in lazily, logs in again when the carrier reports (or the session says) the token expired,
+// * and turns carrier auth failures into ShippingAuthError
+
+class ShippingAuthError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "ShippingAuthError";
+    this.cause = cause;
+  }
+}
+
+class ShippingSessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShippingSessionError";
+  }
+}
+
+function isExpiredError(error) {
+  return !!error && error.code === "TOKEN_EXPIRED";
+}
+
+function isAuthError(error) {
+  return !!error && (error.code === "AUTH_FAILED" || error.code === "NOT_LOGGED_IN");
+}
+
+// * quote caching - the same route and weight get the same price for a while, so there's no need to ask the carrier every time.
+// * Weights are grouped into buckets (bucketSize in lbs, 0 = exact weight); a bucketed quote is priced at the bucket's upper
+// * weight so nothing in the bucket is ever undercharged. Entries expire after ttl ms and the oldest are evicted past maxSize.
+// * A cache can be shared: every key carries a namespace (one per adapter), so carriers never see each other's prices
+
+function QuoteCache(options) {
+  options = options || {};
+  var ttl = options.ttl === undefined ? 60 * 1000 : options.ttl;
+  var maxSize = options.maxSize === undefined ? 500 : options.maxSize;
+  var bucketSize = options.bucketSize || 0;
+  var now = options.now || Date.now;
+  var entries = new Map();  // insertion order doubles as least-recently-used order
+  var counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+  this.bucket = function (pounds) {
+    if (!bucketSize) return pounds;
+    return { value: Math.ceil(pounds.value / bucketSize) * bucketSize, unit: "lb" };
+  }
+
+  this.key = function (zipStart, zipEnd, pounds, namespace) {
+    return zipStart + "|" + zipEnd + "|" + this.bucket(pounds).value + "|" + (namespace || "");
+  }
+
+  this.get = function (key) {
+    var entry = entries.get(key);
+    if (entry && now() >= entry.expiresAt) {
+      entries.delete(key);
+      counters.expirations++;
+      entry = undefined;
+    }
+    if (!entry) {
+      counters.misses++;
+      return undefined;
+    }
+    counters.hits++;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.quote;
+  }
+
+  this.set = function (key, quote) {
+    entries.delete(key);
+    entries.set(key, { quote: quote, expiresAt: now() + ttl });
+    while (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+    return quote;
+  }
+
+  this.invalidate = function (zipStart, zipEnd, namespace) {
+    // no arguments clears everything, otherwise drops every entry matching the given zip(s) and/or namespace
+    if (zipStart === undefined && zipEnd === undefined && namespace === undefined) {
+      var cleared = entries.size;
+      entries.clear();
+      return cleared;
+    }
+    // keys hold normalized zips, so 78701 or " 78701 " has to match the "78701" the quote was cached under
+    if (zipStart !== undefined) zipStart = parseZip(zipStart, "zipStart");
+    if (zipEnd !== undefined) zipEnd = parseZip(zipEnd, "zipEnd");
+    var removed = 0;
+    entries.forEach(function (entry, key) {
+      var parts = key.split("|");
+      if ((zipStart === undefined || parts[0] === zipStart) && (zipEnd === undefined || parts[1] === zipEnd)
+        && (namespace === undefined || parts.slice(3).join("|") === namespace)) {
+        entries.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  this.stats = function () {
+    var lookups = counters.hits + counters.misses;
+    return {
+      hits: counters.hits,
+      misses: counters.misses,
+      evictions: counters.evictions,
+      expirations: counters.expirations,
+      size: entries.size,
+      hitRate: lookups ? counters.hits / lookups : 0
+    };
+  }
+}
+
+var adapterCount = 0;
+
+function ShippingAdapter(credentials, options) {
+  options = options || {};
+  var shippping = options.shipping || new AdvancedShipping();
+  var now = options.now || Date.now;
+  // cache: false turns caching off, an object configures a new QuoteCache, or pass a shared QuoteCache.
+  // cacheNamespace keeps this adapter's quotes apart in a shared cache - unique per adapter unless given
+  var cache = options.cache === false ? null
+    : options.cache instanceof QuoteCache ? options.cache
+      : new QuoteCache(Object.assign({ now: now }, options.cache));
+  var namespace = options.cacheNamespace || "adapter-" + (++adapterCount);
+  var session = null;   // whatever login() returned - may carry an expiresAt
+  var loggedIn = false;
+  var closed = false;
+
+  function login() {
+    try {
+      session = shippping.login(credentials) || {};
+      loggedIn = true;
+    } catch (error) {
+      loggedIn = false;
+      session = null;
+      throw new ShippingAuthError("Login failed: " + error.message, error);
+    }
+  }
+
+  function ensureSession() {
+    if (closed) throw new ShippingSessionError("Shipping adapter has been closed");
+    var expired = session && session.expiresAt !== undefined && now() >= session.expiresAt;
+    if (!loggedIn || expired) login();
+  }
+
+  function calculate(start, end, pounds) {
+    return withSession(function () {
+      shippping.setStart(start);
+      shippping.setDestination(end);
+      return toMoney(shippping.calculate(pounds.value + "lbs"), "USD");
+    });
+  }
+
+  function withSession(operation) {
+    ensureSession();
+    try {
+      return operation();
+    } catch (error) {
+      if (isExpiredError(error)) {
+        // one fresh login and retry - a second expiry means something else is wrong
+        loggedIn = false;
+        ensureSession();
+        try {
+          return operation();
+        } catch (retryError) {
+          if (isExpiredError(retryError) || isAuthError(retryError)) {
+            throw new ShippingAuthError("Session expired again right after logging in", retryError);
+          }
+          throw retryError;
+        }
+      }
+      if (isAuthError(error)) throw new ShippingAuthError("Carrier rejected the session: " + error.message, error);
+      throw error;
+    }
+  }
 
   return {
     request: function (zipStart, zipEnd, weight) {
-      shippping.setStart(zipStart);
-      shippping.setDestination(zipEnd);
-      return shippping.calculate(weight);
+      // legacy callers get the old "$49.75" string format back
+      return this.quote(zipStart, zipEnd, weight).toString();
+    },
+    quote: function (zipStart, zipEnd, weight) {
+      if (closed) throw new ShippingSessionError("Shipping adapter has been closed");
+      var pounds = parseWeight(weight);
+      var start = parseZip(zipStart, "zipStart");
+      var end = parseZip(zipEnd, "zipEnd");
+      if (!cache) return calculate(start, end, pounds);
+
+      var key = cache.key(start, end, pounds, namespace);
+      var cached = cache.get(key);
+      return cached || cache.set(key, calculate(start, end, cache.bucket(pounds)));
+    },
+    invalidate: function (zipStart, zipEnd) {
+      // only ever touches this adapter's own entries, even in a shared cache
+      return cache ? cache.invalidate(zipStart, zipEnd, namespace) : 0;
+    },
+    cacheStats: function () {
+      return cache ? cache.stats() : null;
+    },
+    rotateCredentials: function (newCredentials) {
+      // takes effect on the next request - the old session is dropped, and so are quotes priced under it
+      this.logout();
+      this.invalidate();
+      credentials = newCredentials;
+    },
+    logout: function () {
+      if (loggedIn && typeof shippping.logout === "function") shippping.logout();
+      loggedIn = false;
+      session = null;
+    },
+    close: function () {
+      if (closed) return;
+      this.logout();
+      closed = true;
+    },
+    isOpen: function () {
+      return !closed;
+    },
+    isLoggedIn: function () {
+      return loggedIn;
     }
   }
 }
 
-function run() {
+// ? local stub carrier with the AdvancedShipping interface whose tokens expire - for tests.
+// ? options: ttl (ms), now (clock function), accept(credentials) to decide whether a login succeeds
+
+function ExpiringShipping(options) {
+  options = options || {};
+  var ttl = options.ttl === undefined ? 1000 : options.ttl;
+  var now = options.now || Date.now;
+  var accept = options.accept || function (credentials) { return !!(credentials && credentials.token); };
+  var session = null;
+
+  function carrierError(code, message) {
+    var error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  function check() {
+    if (!session) throw carrierError("NOT_LOGGED_IN", "Not logged in");
+    if (now() >= session.expiresAt) throw carrierError("TOKEN_EXPIRED", "Token " + session.token + " expired");
+  }
+
+  this.logins = 0;
+
+  this.login = function (credentials) {
+    if (!accept(credentials)) throw carrierError("AUTH_FAILED", "Invalid credentials");
+    this.logins++;
+    session = { token: "tok-" + this.logins, expiresAt: now() + ttl };
+    return { token: session.token };  // doesn't advertise expiresAt - the adapter has to notice on its own
+  }
+  this.logout = function () { session = null; }
+  this.setStart = function (start) { check(); }
+  this.setDestination = function (destination) { check(); }
+  this.calculate = function (weight) { check(); return "39.50"; }
+}
+
+// * async mode - real rate lookups go over the network, so here every carrier call may return a promise.
+// * AsyncShippingAdapter adds per-attempt timeouts, retries with exponential backoff and AbortSignal cancellation.
+// * legacy() bridges back to the synchronous request() for callers that can't await, answering from the last quote
+// * The carrier is stateful (setStart/setDestination then calculate), so concurrent quotes on one adapter take turns:
+// * each request's three carrier calls run as one unit on a per-adapter promise chain, never interleaved with another's.
+// * An abort rejects a request straight away even while it waits for its turn; timeouts only count carrier calls, not
+// * the time spent queued behind other requests
+
+class ShippingTimeoutError extends Error {
+  constructor(ms) {
+    super("Carrier didn't answer within " + ms + "ms");
+    this.name = "ShippingTimeoutError";
+  }
+}
+
+class ShippingAbortError extends Error {
+  constructor(reason) {
+    super("Shipping request was aborted" + (reason && reason.message ? ": " + reason.message : ""));
+    this.name = "AbortError";
+    this.reason = reason;
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw new ShippingAbortError(signal.reason);
+}
+
+function delay(ms, signal) {
+  return new Promise(function (resolve, reject) {
+    throwIfAborted(signal);
+    var timer = setTimeout(function () {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new ShippingAbortError(signal.reason));
+    }
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function withTimeout(promise, ms, signal) {
+  // races the carrier call against the timeout and the caller's abort signal
+  return new Promise(function (resolve, reject) {
+    throwIfAborted(signal);
+    var timer = ms ? setTimeout(function () { settle(reject, new ShippingTimeoutError(ms)); }, ms) : null;
+    function onAbort() { settle(reject, new ShippingAbortError(signal.reason)); }
+    function settle(fn, value) {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      fn(value);
+    }
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(promise).then(
+      function (value) { settle(resolve, value); },
+      function (error) { settle(reject, error); }
+    );
+  });
+}
+
+function isRetryable(error) {
+  // bad input, bad credentials and cancellation won't get better by asking again
+  return !(error instanceof ShippingInputError || error instanceof ShippingAuthError ||
+    error instanceof ShippingSessionError || error instanceof ShippingAbortError);
+}
+
+function AsyncShippingAdapter(credentials, options) {
+  options = options || {};
+  var shippping = options.shipping || new AsyncAdvancedShipping();
+  var timeout = options.timeout === undefined ? 2000 : options.timeout;
+  var retries = options.retries === undefined ? 2 : options.retries;
+  var backoff = options.backoff === undefined ? 100 : options.backoff;
+  var session = null;   // promise for the current login
+  var closed = false;
+  var lastQuotes = {};  // route key -> Money, feeds the synchronous bridge
+  var carrierTurn = Promise.resolve();  // tail of the chain that serializes carrier conversations
+
+  function exclusive(task, signal) {
+    var turn = carrierTurn.then(function () {
+      throwIfAborted(signal);  // aborted while queued - give the turn straight to the next request
+      return task();
+    });
+    carrierTurn = turn.catch(function () { /* the next request still gets its turn */ });
+    return withTimeout(turn, 0, signal);  // no timeout here, just the abort signal so waiting callers aren't held up
+  }
+
+  function quoteKey(start, end, pounds) {
+    return start + "|" + end + "|" + pounds.value;
+  }
+
+  function login(signal) {
+    if (!session) {
+      session = Promise.resolve()
+        .then(function () { return withTimeout(shippping.login(credentials), timeout, signal); })
+        .catch(function (error) {
+          session = null;
+          if (error instanceof ShippingTimeoutError || error instanceof ShippingAbortError) throw error;
+          throw new ShippingAuthError("Login failed: " + error.message, error);
+        });
+    }
+    return withTimeout(session, 0, signal);  // a login someone else started still gives way to this caller's abort
+  }
+
+  function attempt(start, end, pounds, signal, relogged) {
+    return login(signal)
+      .then(function () {
+        return exclusive(function () {
+          return withTimeout(shippping.setStart(start), timeout, signal)
+            .then(function () { return withTimeout(shippping.setDestination(end), timeout, signal); })
+            .then(function () { return withTimeout(shippping.calculate(pounds.value + "lbs"), timeout, signal); });
+        }, signal);
+      })
+      .catch(function (error) {
+        if (isExpiredError(error) && !relogged) {
+          session = null;
+          return attempt(start, end, pounds, signal, true);
+        }
+        if (isExpiredError(error) || isAuthError(error)) {
+          throw new ShippingAuthError("Carrier rejected the session: " + error.message, error);
+        }
+        throw error;
+      });
+  }
+
+  return {
+    request: function (zipStart, zipEnd, weight, requestOptions) {
+      return this.quote(zipStart, zipEnd, weight, requestOptions).then(String);
+    },
+    quote: function (zipStart, zipEnd, weight, requestOptions) {
+      var signal = requestOptions && requestOptions.signal;
+      return Promise.resolve().then(function () {
+        if (closed) throw new ShippingSessionError("Shipping adapter has been closed");
+        var pounds = parseWeight(weight);
+        var start = parseZip(zipStart, "zipStart");
+        var end = parseZip(zipEnd, "zipEnd");
+
+        function tryOnce(attemptNumber) {
+          throwIfAborted(signal);
+          return attempt(start, end, pounds, signal, false).catch(function (error) {
+            if (attemptNumber >= retries || !isRetryable(error)) throw error;
+            return delay(backoff * Math.pow(2, attemptNumber), signal).then(function () {
+              return tryOnce(attemptNumber + 1);
+            });
+          });
+        }
+
+        return tryOnce(0).then(function (cost) {
+          var money = toMoney(cost, "USD");
+          lastQuotes[quoteKey(start, end, pounds)] = money;
+          return money;
+        });
+      });
+    },
+    legacy: function () {
+      // synchronous Shipping-style facade over the async adapter - serves the last quote for the route
+      // and refreshes it in the background; throws until a first quote has come back
+      var adapter = this;
+      return {
+        request: function (zipStart, zipEnd, weight) {
+          var pounds = parseWeight(weight);
+          var start = parseZip(zipStart, "zipStart");
+          var end = parseZip(zipEnd, "zipEnd");
+          var cached = lastQuotes[quoteKey(start, end, pounds)];
+          adapter.quote(start, end, pounds).catch(function () { /* keep serving the stale quote */ });
+          if (!cached) {
+            throw new ShippingSessionError("No quote cached yet for " + start + " -> " + end + " - try again once the carrier has answered");
+          }
+          return cached.toString();
+        }
+      }
+    },
+    prefetch: function (zipStart, zipEnd, weight) {
+      return this.quote(zipStart, zipEnd, weight);
+    },
+    close: function () {
+      if (closed) return Promise.resolve();
+      closed = true;
+      var current = session;
+      session = null;
+      return Promise.resolve(current)
+        .then(function () { if (current && typeof shippping.logout === "function") return shippping.logout(); })
+        .catch(function () { /* a failed login has nothing to log out of */ });
+    }
+  }
+}
+
+// ? async stub carrier with the AdvancedShipping interface - configurable latency and failures for tests.
+// ? options: latency (ms), failures (number of calculate() calls that fail before it starts answering),
+// ? rates ("start|destination" -> price, anything else costs 39.50)
+
+function AsyncAdvancedShipping(options) {
+  options = options || {};
+  var latency = options.latency === undefined ? 10 : options.latency;
+  var failures = options.failures || 0;
+  var rates = options.rates || {};
+  var start = null;
+  var destination = null;
+
+  function later(value) {
+    return new Promise(function (resolve, reject) {
+      setTimeout(function () {
+        value instanceof Error ? reject(value) : resolve(value);
+      }, latency);
+    });
+  }
+
+  this.calls = 0;
+  this.login = function (credentials) { return later({ token: "async-" + credentials.token }); }
+  this.logout = function () { return later(); }
+  this.setStart = function (zip) { start = zip; return later(); }
+  this.setDestination = function (zip) { destination = zip; return later(); }
+  this.calculate = function (weight) {
+    this.calls++;
+    var price = rates[start + "|" + destination] || "39.50";
+    return later(this.calls <= failures ? new Error("Carrier unavailable") : price);
+  }
+}
+
+// * two-way adapters - one declarative description of both interfaces is enough to build the adapter in either direction.
+// * Each interface lists its methods and which shared fields their arguments carry; the method marked invoke: true
+// * is the one that actually produces a price. Field transforms convert arguments to and from a shared canonical form
+// * (read: interface format -> canonical, write: canonical -> interface format), and price does the same for the result.
+// * Setter-style methods only record fields; invoking a method replays the recorded fields onto the adaptee's setters
+// * and calls the adaptee's own invoking method. once: true setters (e.g. login) are only replayed the first time.
+// * A setter whose fields haven't been given is an error, like a missing argument to the invoking method - unless the
+// * setter is marked optional: true, in which case it's skipped.
+
+function createTwoWayAdapter(interfaces) {
+  var names = Object.keys(interfaces);
+  if (names.length !== 2) throw new Error("Two-way adapters need exactly two interfaces, got " + names.join(", "));
+
+  function convert(spec, direction, field, value) {
+    var transform = spec.fields && spec.fields[field] && spec.fields[field][direction];
+    return transform ? transform(value) : value;
+  }
+
+  function invokingMethod(spec, name) {
+    var methods = Object.keys(spec.methods).filter(function (method) { return spec.methods[method].invoke; });
+    if (methods.length !== 1) throw new Error("Interface '" + name + "' must mark exactly one method with invoke: true");
+    return methods[0];
+  }
+
+  function build(targetName, adapteeName) {
+    var target = interfaces[targetName];
+    var adaptee = interfaces[adapteeName];
+    var adapteeInvoke = invokingMethod(adaptee, adapteeName);
+    invokingMethod(target, targetName);
+
+    // exposes the target interface on top of an object that implements the adaptee interface
+    return function (adapteeObject, initialFields) {
+      var state = {};
+      var replayed = {};
+      Object.keys(initialFields || {}).forEach(function (field) {
+        state[field] = convert(target, "read", field, initialFields[field]);
+      });
+
+      function drive() {
+        Object.keys(adaptee.methods).forEach(function (method) {
+          var spec = adaptee.methods[method];
+          if (spec.invoke || (spec.once && replayed[method])) return;
+          var missing = spec.args.filter(function (field) { return state[field] === undefined; });
+          if (missing.length) {
+            if (spec.optional) return;
+            throw new Error("Missing '" + missing[0] + "' for " + adapteeName + "." + method + "()");
+          }
+          adapteeObject[method].apply(adapteeObject, spec.args.map(function (field) {
+            return convert(adaptee, "write", field, state[field]);
+          }));
+          replayed[method] = true;
+        });
+        var args = adaptee.methods[adapteeInvoke].args.map(function (field) {
+          if (state[field] === undefined) throw new Error("Missing '" + field + "' for " + adapteeName + "." + adapteeInvoke + "()");
+          return convert(adaptee, "write", field, state[field]);
+        });
+        var price = adaptee.price.read(adapteeObject[adapteeInvoke].apply(adapteeObject, args));
+        return target.price.write(price);
+      }
+
+      var adapter = {};
+      Object.keys(target.methods).forEach(function (method) {
+        var spec = target.methods[method];
+        adapter[method] = function () {
+          var values = arguments;
+          spec.args.forEach(function (field, i) {
+            state[field] = convert(target, "read", field, values[i]);
+          });
+          if (spec.invoke) return drive();
+        }
+      });
+      return adapter;
+    }
+  }
+
+  var adapters = {};
+  adapters[names[0]] = build(names[0], names[1]);
+  adapters[names[1]] = build(names[1], names[0]);
+  return adapters;
+}
+
+// both shipping interfaces, described once - they agree on zips and weights and only differ on price formats
+var shippingFields = {
+  start: { read: function (zip) { return parseZip(zip, "zipStart"); } },
+  destination: { read: function (zip) { return parseZip(zip, "zipEnd"); } },
+  weight: { read: parseWeight, write: function (pounds) { return pounds.value + "lbs"; } }
+}
+
+var shippingInterfaces = {
+  legacy: {
+    methods: {
+      request: { args: ["start", "destination", "weight"], invoke: true }
+    },
+    fields: shippingFields,
+    price: {
+      read: function (price) { return toMoney(price, "USD"); },
+      write: function (money) { return money.toString(); }
+    }
+  },
+  advanced: {
+    methods: {
+      login: { args: ["credentials"], once: true },
+      setStart: { args: ["start"] },
+      setDestination: { args: ["destination"] },
+      calculate: { args: ["weight"], invoke: true }
+    },
+    fields: shippingFields,
+    price: {
+      read: function (price) { return toMoney(price, "USD"); },
+      write: function (money) { return money.amount.toFixed(2); }
+    }
+  }
+}
+
+var shippingAdapters = createTwoWayAdapter(shippingInterfaces);
+
+// new-API clients driving the legacy backend: login/setStart/setDestination/calculate on top of Shipping.request
+function ReverseShippingAdapter(shipping) {
+  return shippingAdapters.advanced(shipping || new Shipping());
+}
+
+// ? a third carrier with yet another interface - rates come back as an object with transit time
+
+function ExpressShipping() {
+  this.getRate = function (shipment) {
+    return { price: 64.20, transitDays: 1 };
+  }
+}
+
+// * carrier adapter framework - every carrier is adapted to the same request() target interface.
+// * A carrier is plugged in by writing only its mapping (parameterized adapter, see (c) above):
+// *   create()   - builds the adaptee
+// *   setup(adaptee) - optional one-time work such as logging in
+// *   request(adaptee, zipStart, zipEnd, weight) - maps the target call onto the adaptee, returns the cost
+// *                  (zips arrive validated, weight arrives as { value, unit: "lb" })
+// *   days       - delivery estimate in days (number, or function of the same args as request)
+// *   currency   - currency of prices the carrier returns without a symbol (defaults to USD)
+
+function CarrierAdapter(name, mapping) {
+  if (!name) throw new Error("Carrier adapters need a name");
+  if (!mapping || typeof mapping.request !== "function") {
+    throw new Error("Carrier '" + name + "' mapping must define request()");
+  }
+  var adaptee = mapping.create ? mapping.create() : null;
+  if (mapping.setup) mapping.setup(adaptee);
+
+  this.name = name;
+  this.currency = mapping.currency || "USD";  // what the carrier's bare prices are in
+
+  this.request = function (zipStart, zipEnd, weight) {
+    var cost = mapping.request(adaptee, parseZip(zipStart, "zipStart"), parseZip(zipEnd, "zipEnd"), parseWeight(weight));
+    return toMoney(cost, this.currency);
+  }
+
+  this.estimateDays = function (zipStart, zipEnd, weight) {
+    return typeof mapping.days === "function"
+      ? mapping.days(adaptee, parseZip(zipStart, "zipStart"), parseZip(zipEnd, "zipEnd"), parseWeight(weight))
+      : mapping.days;
+  }
+
+  this.quote = function (zipStart, zipEnd, weight) {
+    return {
+      carrier: name,
+      cost: this.request(zipStart, zipEnd, weight),
+      days: this.estimateDays(zipStart, zipEnd, weight)
+    };
+  }
+}
+
+function CarrierRegistry() {
+  var adapters = {};
+
+  this.register = function (adapter) {
+    if (typeof adapter.request !== "function") {
+      throw new Error("Carrier adapter '" + adapter.name + "' must expose request()");
+    }
+    if (adapters[adapter.name]) {
+      throw new Error("Carrier '" + adapter.name + "' is already registered");
+    }
+    adapters[adapter.name] = adapter;
+    return this;
+  }
+
+  this.unregister = function (name) {
+    var existed = !!adapters[name];
+    delete adapters[name];
+    return existed;
+  }
+
+  this.get = function (name) {
+    if (!adapters[name]) {
+      throw new Error("Unknown carrier '" + name + "'. Known carriers: " + this.list().join(", "));
+    }
+    return adapters[name];
+  }
+
+  this.list = function () {
+    return Object.keys(adapters);
+  }
+
+  this.compare = function (zipStart, zipEnd, weight, currency) {
+    // a failing carrier shows up in the breakdown with its error instead of sinking the whole comparison.
+    // Only quotes in the requested currency are ranked by price - there's no exchange rate to compare across them -
+    // but speed needs no conversion, so fastest is picked from every successful quote.
+    // A bare price is in the carrier's own currency (adapter.currency, else USD), never the one asked for
+    currency = currency || "USD";
+    var breakdown = {};
+    var quotes = [];
+    this.list().forEach(function (name) {
+      var adapter = adapters[name];
+      try {
+        var quote = typeof adapter.quote === "function"
+          ? adapter.quote(zipStart, zipEnd, weight)
+          : { carrier: name, cost: adapter.request(zipStart, zipEnd, weight) };
+        quote.cost = toMoney(quote.cost, adapter.currency || "USD");
+        breakdown[name] = quote;
+        quotes.push(quote);
+      } catch (error) {
+        breakdown[name] = { carrier: name, error: error };
+      }
+    });
+
+    var byPrice = quotes.filter(function (q) { return q.cost.currency === currency; })
+      .sort(function (a, b) { return a.cost.amount - b.cost.amount; });
+    var bySpeed = quotes.filter(function (q) { return typeof q.days === "number"; })
+      .sort(function (a, b) {
+        // same-day ties go to the cheaper quote when their prices can be compared
+        return a.days - b.days || (a.cost.currency === b.cost.currency ? a.cost.amount - b.cost.amount : 0);
+      });
+
+    return {
+      cheapest: byPrice[0] || null,
+      fastest: bySpeed[0] || null,
+      quotes: byPrice,
+      breakdown: breakdown
+    };
+  }
+}
+
+// mappings for the carriers above
+var carrierMappings = {
+  legacy: {
+    create: function () { return new Shipping(); },
+    request: function (shipping, zipStart, zipEnd, weight) {
+      return shipping.request(zipStart, zipEnd, weight.value + "lbs");
+    },
+    days: 5
+  },
+  advanced: {
+    // ShippingAdapter already speaks request() and looks after the login session
+    create: function () { return new ShippingAdapter({ token: "30a8-6ee1" }); },
+    request: function (adapter, zipStart, zipEnd, weight) {
+      return adapter.quote(zipStart, zipEnd, weight);
+    },
+    days: 3
+  },
+  express: {
+    create: function () { return new ExpressShipping(); },
+    request: function (shipping, zipStart, zipEnd, weight) {
+      return shipping.getRate({ from: zipStart, to: zipEnd, weight: weight.value }).price;
+    },
+    days: function (shipping, zipStart, zipEnd, weight) {
+      return shipping.getRate({ from: zipStart, to: zipEnd, weight: weight.value }).transitDays;
+    }
+  }
+}
+
+function createDefaultCarriers() {
+  var registry = new CarrierRegistry();
+  Object.keys(carrierMappings).forEach(function (name) {
+    registry.register(new CarrierAdapter(name, carrierMappings[name]));
+  });
+  return registry;
+}
+
+function run(mode) {
+  if (mode === "async") return runAsync();
+
   var shipping = new Shipping();
   var credentials = { token: "30a8-6ee1" };
   var adapter = new ShippingAdapter(credentials);
@@ -105,6 +927,62 @@ function run() {
   cost = adapter.request("78701", "10010", "2lbs");
 
   console.log("New cost: " + cost);
+
+  //every carrier behind the same interface
+
+  var comparison = createDefaultCarriers().compare("78701", "10010", "2lbs");
+
+  console.log("Cheapest: " + comparison.cheapest.carrier + " (" + comparison.cheapest.cost + ")");
+  console.log("Fastest: " + comparison.fastest.carrier + " (" + comparison.fastest.days + " days)");
+
+  //and the other direction - a new-API client pointed at the old backend
+
+  var reverse = new ReverseShippingAdapter(shipping);
+  reverse.login(credentials);
+  reverse.setStart("78701");
+  reverse.setDestination("10010");
+  console.log("Old cost via new interface: " + reverse.calculate("2lbs"));
+}
+
+function runAsync() {
+  var shipping = new Shipping();
+  var credentials = { token: "30a8-6ee1" };
+  var adapter = new AsyncShippingAdapter(credentials);
+
+  console.log("Old cost: " + shipping.request("78701", "10010", "2lbs"));
+
+  //same flow, but the adapted request is awaited
+
+  return adapter.request("78701", "10010", "2lbs")
+    .then(function (cost) {
+      console.log("New cost: " + cost);
+
+      //legacy synchronous callers now get the cached quote
+
+      console.log("New cost (sync bridge): " + adapter.legacy().request("78701", "10010", "2lbs"));
+      return adapter.close();
+    })
+    .then(function () {
+      //concurrent quotes on one adapter take turns with the carrier, so each is priced for its own route
+
+      var carrier = new AsyncAdvancedShipping({ rates: { "11111|22222": "10.00", "33333|44444": "20.00" } });
+      var shared = new AsyncShippingAdapter(credentials, { shipping: carrier });
+      return Promise.all([
+        shared.request("11111", "22222", "2lbs"),
+        shared.request("33333", "44444", "2lbs")
+      ]).then(function (costs) {
+        console.log("Concurrent costs: " + costs.join(", "));
+        return shared.close();
+      });
+    });
 }
 
-module.exports = run;
\ No newline at end of file
+// run stays the module's export; the building blocks hang off it for callers that need them
+Object.assign(run, {
+  Shipping, AdvancedShipping, ExpressShipping, ShippingAdapter,
+  AsyncShippingAdapter, AsyncAdvancedShipping, ExpiringShipping, ShippingTimeoutError, ShippingAbortError, ShippingInputError, ShippingAuthError, ShippingSessionError, Money, toMoney, parseWeight, parseZip,
+  QuoteCache, ReverseShippingAdapter, createTwoWayAdapter, shippingInterfaces, shippingAdapters,
+  CarrierAdapter, CarrierRegistry, carrierMappings, createDefaultCarriers
+});
+
+module.exports = run;
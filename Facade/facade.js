@@ -29,57 +29,527 @@
 
 //-------------------IMPLEMENTATION EXAMPLE-------------------->
 class Mortgage {
-  constructor(name) {
+  // applicant is a name, an Applicant, or the plain fields of one
+  // every Mortgage records into its own AuditLog unless it's handed a shared one - pass null to leave it unrecorded
+  constructor(applicant, {
+    pipeline = Mortgage.defaultPipeline(),
+    subsystems = Mortgage.defaultSubsystems(),
+    auditLog = new AuditLog()
+  } = {}) {
+    this.applicant = Applicant.from(applicant);
+    this.name = this.applicant.name;
+    this.pipeline = pipeline;
+    this.subsystems = subsystems;
+    this.auditLog = auditLog;
+  }
+
+
+  // terms is a bare amount or the fields of LoanTerms
+  async applyFor(terms) {
+    // access multiple subsystems - which ones, in what order and how concurrently is up to the pipeline
+    const loan = LoanTerms.from(terms);
+    const startedAt = new Date();
+    const application = { name: this.name, amount: loan.amount, applicant: this.applicant, terms: loan };
+    const { status, results } = await this.pipeline.run(application, this.subsystems);
+    const decision = new MortgageDecision({
+      name: this.name, amount: loan.amount, terms: loan, status, checks: results, startedAt, completedAt: new Date()
+    });
+    if (this.auditLog) this.auditLog.record(this.applicant, loan, decision);
+    return decision;
+  }
+
+  async affordability(terms) {
+    return this.subsystems.bank.assess(this.applicant, LoanTerms.from(terms));
+  }
+
+  async schedule(terms) {
+    return this.subsystems.amortization.schedule(LoanTerms.from(terms));
+  }
+
+  static defaultPipeline() {
+    return UnderwritingPipeline.fromConfig({
+      mode: 'short-circuit',
+      checks: [
+        { name: 'bank' },
+        // only applicants who gave us their finances can be assessed for affordability
+        { name: 'affordability', when: ({ applicant }) => applicant.annualIncome !== null },
+        // credit and background don't depend on each other or on the bank, so they're asked at the same time
+        { name: 'credit', concurrent: true },
+        { name: 'background', concurrent: true }
+      ]
+    });
+  }
+
+  static defaultSubsystems() {
+    const amortization = new Amortization();
+    return { bank: new Bank({ amortization }), credit: new Credit(), background: new Background(), amortization };
+  }
+
+  // re-runs every application in the log against the given (current) rules and reports changed decisions.
+  // replays are never recorded themselves
+  static async replay(log, { pipeline = Mortgage.defaultPipeline(), subsystems = Mortgage.defaultSubsystems() } = {}) {
+    const changed = [];
+    const entries = log.entries();
+    for (const entry of entries) {
+      const mortgage = new Mortgage(entry.applicant, { pipeline, subsystems, auditLog: null });
+      const decision = await mortgage.applyFor(entry.terms);
+      if (decision.status !== entry.decision.status) {
+        changed.push({
+          id: entry.id,
+          name: entry.applicant.name,
+          amount: entry.terms.amount,
+          before: entry.decision.status,
+          after: decision.status,
+          reason: decision.reason,
+          decision
+        });
+      }
+    }
+    return { total: entries.length, unchanged: entries.length - changed.length, changed };
+  }
+
+}
+
+// DECISION - everything a client needs to explain the outcome. toString() keeps the old one-line sentence
+class MortgageDecision {
+  constructor({ name, amount, terms = null, status, checks, startedAt, completedAt }) {
     this.name = name;
+    this.amount = amount;
+    this.terms = terms;
+    this.status = status; // 'approved', 'denied', or 'error' when a subsystem couldn't give an answer
+    this.checks = checks;
+    this.passed = checks.filter(check => check.status === 'passed').map(check => check.name);
+    this.failed = checks.filter(check => check.status === 'failed').map(check => check.name);
+    this.errored = checks.filter(check => check.status === 'error').map(check => check.name);
+    this.skipped = checks.filter(check => check.status === 'skipped').map(check => check.name);
+    // the first failing check is the headline reason for a denial, otherwise the first subsystem error
+    const reason = checks.find(check => check.status === 'failed') || checks.find(check => check.status === 'error');
+    this.reason = reason ? { check: reason.name, code: reason.code, message: reason.message } : null;
+    this.startedAt = startedAt;
+    this.completedAt = completedAt;
+    this.durationMs = completedAt - startedAt;
+  }
+
+  get approved() {
+    return this.status === 'approved';
+  }
+
+  toString() {
+    return formatDecision(this);
   }
+}
 
+function formatDecision(decision) {
+  if (decision.status === 'error') {
+    return decision.name + "'s application for a " + decision.amount +
+      " mortgage could not be completed";
+  }
+  return decision.name + " has been " + decision.status +
+    " for a " + decision.amount + " mortgage";
+}
 
-  applyFor(amount) {
-    // access multiple subsystems...
-    let result = "approved";
-    if (!new Bank().verify(this.name, amount)) {
-      result = "denied";
-    } else if (!new Credit().get(this.name)) {
-      result = "denied";
-    } else if (!new Background().check(this.name)) {
-      result = "denied";
+// checks may answer with a plain boolean or an outcome carrying a reason code and message
+function outcome(passed, code, message) {
+  return { passed, code, message };
+}
+
+function normalizeOutcome(name, value) {
+  if (value !== null && typeof value === 'object') {
+    const passed = !!value.passed;
+    return {
+      passed,
+      code: value.code || (passed ? 'OK' : `${name.toUpperCase()}_FAILED`),
+      message: value.message || (passed ? `${name} check passed` : `${name} check failed`),
+    };
+  }
+  return normalizeOutcome(name, { passed: !!value });
+}
+
+class SubsystemTimeoutError extends Error {
+  constructor(name, ms) {
+    super(`${name} did not answer within ${ms}ms`);
+    this.name = 'SubsystemTimeoutError';
+  }
+}
+
+function withTimeout(promise, ms, name) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new SubsystemTimeoutError(name, ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// UNDERWRITING PIPELINE - ordered, configurable checks run against an application ({ name, amount })
+// each check is (application, subsystems) => boolean or outcome, or a promise of either.
+// 'when' makes a check conditional, 'skip' turns it off entirely, 'timeout' bounds how long a subsystem gets.
+// mode 'short-circuit' stops at the first failure, 'all' runs every check and denies if any failed.
+// Checks marked 'concurrent' that sit next to each other run together as one step (independent checks such as
+// credit and background); short-circuit then stops after the first step with a failure.
+// parallel: true runs every check concurrently instead - every check then runs, whatever the mode.
+// A check that throws or times out is an 'error', not a denial - the decision is 'error' unless something denied it
+class UnderwritingPipeline {
+  constructor({ mode = 'short-circuit', parallel = false, timeout = 0 } = {}) {
+    if (!UnderwritingPipeline.modes.includes(mode)) {
+      throw new Error(`Unknown pipeline mode '${mode}'. Known modes: ${UnderwritingPipeline.modes.join(', ')}`);
+    }
+    this.mode = mode;
+    this.parallel = parallel;
+    this.timeout = timeout;
+    this.checks = [];
+  }
+
+  add(name, check, { when = null, skip = false, timeout = null, concurrent = false } = {}) {
+    if (typeof check !== 'function') {
+      throw new Error(`Underwriting check '${name}' must be a function`);
+    }
+    if (this.checks.some(existing => existing.name === name)) {
+      throw new Error(`Underwriting check '${name}' is already in the pipeline`);
+    }
+    this.checks.push({ name, check, when, skip, timeout, concurrent });
+    return this;
+  }
+
+  remove(name) {
+    const before = this.checks.length;
+    this.checks = this.checks.filter(entry => entry.name !== name);
+    return this.checks.length < before;
+  }
+
+  // consecutive concurrent checks grouped into one step, every other check a step of its own
+  steps() {
+    const steps = [];
+    this.checks.forEach((entry, index) => {
+      const previous = this.checks[index - 1];
+      if (entry.concurrent && previous && previous.concurrent) steps[steps.length - 1].push(entry);
+      else steps.push([entry]);
+    });
+    return steps;
+  }
+
+  async runCheck({ name, check, when, skip, timeout }, application, subsystems) {
+    if (skip || (when && !when(application))) {
+      return { name, status: 'skipped', code: 'SKIPPED', message: `${name} check was skipped`, durationMs: 0 };
+    }
+    const started = performance.now();
+    try {
+      const value = await withTimeout(Promise.resolve().then(() => check(application, subsystems)), timeout || this.timeout, name);
+      const { passed, code, message } = normalizeOutcome(name, value);
+      return { name, status: passed ? 'passed' : 'failed', code, message, durationMs: performance.now() - started };
+    } catch (error) {
+      const code = error instanceof SubsystemTimeoutError ? 'SUBSYSTEM_TIMEOUT' : 'SUBSYSTEM_ERROR';
+      return { name, status: 'error', code, message: error.message, error, durationMs: performance.now() - started };
+    }
+  }
+
+  async run(application, subsystems = {}) {
+    let results;
+    if (this.parallel) {
+      results = await Promise.all(this.checks.map(entry => this.runCheck(entry, application, subsystems)));
+    } else {
+      results = [];
+      for (const step of this.steps()) {
+        const stepResults = await Promise.all(step.map(entry => this.runCheck(entry, application, subsystems)));
+        results.push(...stepResults);
+        if (this.mode === 'short-circuit' && stepResults.some(result => result.status === 'failed' || result.status === 'error')) break;
+      }
     }
-    return this.name + " has been " + result +
-      " for a " + amount + " mortgage";
+    const status = results.some(result => result.status === 'failed') ? 'denied'
+      : results.some(result => result.status === 'error') ? 'error'
+        : 'approved';
+    return { status, results };
   }
 
+  // config: { mode, parallel, timeout, checks: [{ name, skip, when, timeout, concurrent }] } - names are looked up in 'available'
+  static fromConfig({ mode, parallel, timeout, checks = [] } = {}, available = underwritingChecks) {
+    const pipeline = new UnderwritingPipeline({ mode, parallel, timeout });
+    checks.forEach(({ name, ...options }) => {
+      if (!available[name]) {
+        throw new Error(`Unknown underwriting check '${name}'. Known checks: ${Object.keys(available).join(', ')}`);
+      }
+      pipeline.add(name, available[name], options);
+    });
+    return pipeline;
+  }
+}
+
+UnderwritingPipeline.modes = ['short-circuit', 'all'];
+
+// AUDIT LOG - append-only record of every application: inputs, subsystem results, decision and timestamp.
+// entries are frozen copies, and the log round-trips through JSON lines for export/import
+class AuditLog {
+  #log = [];  // private so the only way in is append/record
+
+  constructor(entries = []) {
+    entries.forEach(entry => this.append(entry));
+  }
+
+  append(entry) {
+    const frozen = deepFreeze(JSON.parse(JSON.stringify(entry)));
+    this.#log.push(frozen);
+    return frozen;
+  }
+
+  record(applicant, terms, decision) {
+    return this.append({
+      id: this.#log.reduce((max, entry) => Math.max(max, entry.id), 0) + 1,
+      timestamp: decision.completedAt.toISOString(),
+      applicant,
+      terms,
+      checks: decision.checks.map(({ name, status, code, message, durationMs }) => ({ name, status, code, message, durationMs })),
+      decision: {
+        status: decision.status,
+        reason: decision.reason,
+        passed: decision.passed,
+        failed: decision.failed,
+        errored: decision.errored,
+        skipped: decision.skipped,
+        durationMs: decision.durationMs
+      }
+    });
+  }
+
+  entries() {
+    return this.#log.slice();
+  }
+
+  get size() {
+    return this.#log.length;
+  }
+
+  toJSONLines() {
+    return this.#log.map(entry => JSON.stringify(entry)).join('\n');
+  }
+
+  static fromJSONLines(text) {
+    const ids = new Set();
+    const entries = text.split('\n').filter(line => line.trim()).map((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Audit log line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+      if (!entry || !entry.applicant || !entry.terms || !entry.decision) {
+        throw new Error(`Audit log line ${index + 1} is missing applicant, terms or decision`);
+      }
+      if (!Number.isInteger(entry.id) || entry.id < 1) {
+        throw new Error(`Audit log line ${index + 1} has no valid id (expected a positive integer, got ${JSON.stringify(entry.id)})`);
+      }
+      if (ids.has(entry.id)) {
+        throw new Error(`Audit log line ${index + 1} repeats id ${entry.id}`);
+      }
+      ids.add(entry.id);
+      return entry;
+    });
+    return new AuditLog(entries);
+  }
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// APPLICANT AND LOAN TERMS - the data the subsystems evaluate
+class Applicant {
+  constructor({
+    name, annualIncome = null, monthlyDebts = 0, creditScore = null,
+    employment = { status: 'unknown', years: 0 }, propertyValue = null
+  }) {
+    if (typeof name !== 'string' || !name) throw new Error('Applicant needs a name');
+    if (annualIncome !== null && !(annualIncome >= 0)) throw new Error('annualIncome must be a non-negative number');
+    if (!(monthlyDebts >= 0)) throw new Error('monthlyDebts must be a non-negative number');
+    if (creditScore !== null && !(creditScore >= 300 && creditScore <= 850)) throw new Error('creditScore must be between 300 and 850');
+    if (propertyValue !== null && !(propertyValue > 0)) throw new Error('propertyValue must be a positive number');
+    this.name = name;
+    this.annualIncome = annualIncome;
+    this.monthlyDebts = monthlyDebts;
+    this.creditScore = creditScore;
+    this.employment = employment;
+    this.propertyValue = propertyValue;
+  }
+
+  static from(applicant) {
+    if (applicant instanceof Applicant) return applicant;
+    return new Applicant(typeof applicant === 'string' ? { name: applicant } : applicant);
+  }
+}
+
+class LoanTerms {
+  constructor({ amount, termYears = 30, rateType = 'fixed', annualRate = 0.065, downPayment = 0 }) {
+    if (!(amount > 0)) throw new Error('Loan amount must be a positive number');
+    if (!(termYears > 0)) throw new Error('termYears must be a positive number');
+    // the schedule is monthly, so a term that rounds to no months at all can't be amortized
+    if (Math.round(termYears * 12) < 1) throw new Error('termYears must cover at least one month');
+    if (!['fixed', 'adjustable'].includes(rateType)) throw new Error(`Unknown rateType '${rateType}' - expected fixed or adjustable`);
+    if (!(annualRate >= 0)) throw new Error('annualRate must be a non-negative number');
+    if (!(downPayment >= 0)) throw new Error('downPayment must be a non-negative number');
+    this.amount = amount; // the amount borrowed
+    this.termYears = termYears;
+    this.rateType = rateType;
+    this.annualRate = annualRate;
+    this.downPayment = downPayment;
+  }
+
+  get months() {
+    return Math.round(this.termYears * 12);
+  }
+
+  static from(terms) {
+    if (terms instanceof LoanTerms) return terms;
+    return new LoanTerms(typeof terms === 'number' ? { amount: terms } : terms);
+  }
+}
+
+class Amortization {
+  monthlyPayment(principal, annualRate, months) {
+    const rate = annualRate / 12;
+    if (rate === 0) return principal / months;
+    return principal * rate / (1 - Math.pow(1 + rate, -months));
+  }
+
+  schedule(terms) {
+    // one row per month; the last payment absorbs the rounding so the balance lands on zero
+    const { amount, annualRate, months } = LoanTerms.from(terms);
+    const payment = round2(this.monthlyPayment(amount, annualRate, months));
+    const rows = [];
+    let balance = amount;
+    for (let month = 1; month <= months; month++) {
+      const interest = round2(balance * annualRate / 12);
+      const principal = month === months ? balance : Math.min(balance, round2(payment - interest));
+      balance = round2(balance - principal);
+      rows.push({ month, payment: round2(principal + interest), principal: round2(principal), interest, balance });
+    }
+    return {
+      monthlyPayment: payment,
+      totalInterest: round2(rows.reduce((sum, row) => sum + row.interest, 0)),
+      totalPaid: round2(rows.reduce((sum, row) => sum + row.payment, 0)),
+      rows
+    };
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
 }
 
 class Bank {
+  constructor({ amortization = new Amortization(), maxDebtToIncome = 0.43, maxLoanToValue = 0.95, adjustableStress = 0.02 } = {}) {
+    this.amortization = amortization;
+    this.maxDebtToIncome = maxDebtToIncome;
+    this.maxLoanToValue = maxLoanToValue;
+    this.adjustableStress = adjustableStress; // adjustable-rate loans have to be affordable at a higher rate too
+  }
+
   verify(name, amount) {
     // complex logic ...
     return true;
   }
+
+  assess(applicant, terms) {
+    const loan = LoanTerms.from(terms);
+    const qualifyingRate = loan.annualRate + (loan.rateType === 'adjustable' ? this.adjustableStress : 0);
+    const monthlyPayment = round2(this.amortization.monthlyPayment(loan.amount, qualifyingRate, loan.months));
+    const monthlyIncome = applicant.annualIncome === null ? 0 : applicant.annualIncome / 12;
+    const debtToIncome = monthlyIncome ? (applicant.monthlyDebts + monthlyPayment) / monthlyIncome : Infinity;
+    // without an appraisal, the property is assumed to be worth what's being paid for it
+    const propertyValue = applicant.propertyValue || loan.amount + loan.downPayment;
+    const loanToValue = loan.amount / propertyValue;
+
+    const reasons = [];
+    if (debtToIncome > this.maxDebtToIncome) {
+      reasons.push({ code: 'DTI_TOO_HIGH', message: `Debt-to-income ratio ${pct(debtToIncome)} is above ${pct(this.maxDebtToIncome)}` });
+    }
+    if (loanToValue > this.maxLoanToValue) {
+      reasons.push({ code: 'LTV_TOO_HIGH', message: `Loan-to-value ratio ${pct(loanToValue)} is above ${pct(this.maxLoanToValue)}` });
+    }
+    return { affordable: reasons.length === 0, monthlyPayment, qualifyingRate, debtToIncome, loanToValue, reasons };
+  }
+}
+
+function pct(ratio) {
+  return Number.isFinite(ratio) ? `${(ratio * 100).toFixed(1)}%` : 'n/a';
 }
 
 class Credit {
-  get(name) {
-    // complex logic ...
-    return true;
+  constructor({ minimumScore = 620 } = {}) {
+    this.minimumScore = minimumScore;
+  }
+
+  get(name, creditScore = null) {
+    // complex logic ... - a known score has to clear the minimum
+    return creditScore === null || creditScore >= this.minimumScore;
   }
 }
 
 class Background {
+  // rules are predicates on the applicant's name that flag it when they return true - none by default, e.g.
+  // new Background({ rules: [name => name.includes('h')] }) brings back the old "no h allowed" screen
+  constructor({ rules = [] } = {}) {
+    this.rules = [...rules];
+  }
+
   check(name) {
     // complex logic ...
-    if (name.search('h') !== -1) {
-      return false
-    } else {
-      return true;
-    }
+    return !this.rules.some(rule => rule(name));
   }
 }
 
-function run(name, amount) {
+// the subsystem checks the pipeline can be configured with
+// subsystems may be local (sync) or remote (returning promises) - the checks await either way
+const underwritingChecks = {
+  bank: async ({ name, amount }, { bank }) => await bank.verify(name, amount)
+    ? outcome(true, 'OK', 'Bank verified funds')
+    : outcome(false, 'BANK_UNVERIFIED', `Bank could not verify funds for a ${amount} mortgage`),
+  affordability: async ({ applicant, terms }, { bank }) => {
+    const { affordable, reasons, debtToIncome, loanToValue } = await bank.assess(applicant, terms);
+    return affordable
+      ? outcome(true, 'OK', `Affordable at ${pct(debtToIncome)} debt-to-income and ${pct(loanToValue)} loan-to-value`)
+      : outcome(false, reasons[0].code, reasons.map(reason => reason.message).join('; '));
+  },
+  credit: async ({ name, applicant }, { credit }) => await credit.get(name, applicant ? applicant.creditScore : null)
+    ? outcome(true, 'OK', 'Credit history is acceptable')
+    : outcome(false, 'CREDIT_INSUFFICIENT', 'Credit history does not qualify'),
+  background: async ({ name }, { background }) => await background.check(name)
+    ? outcome(true, 'OK', 'Background check is clear')
+    : outcome(false, 'BACKGROUND_FLAGGED', 'Background check flagged the applicant'),
+};
+
+// FAKE SUBSYSTEMS - stand-ins for the remote services with configurable latency and failures, for tests.
+// latency: ms per subsystem, failures: subsystem name -> error message (it throws), answers: subsystem name -> result.
+// bank.assess is simulated under the name 'affordability' so it can be delayed or broken separately from bank.verify
+function createFakeSubsystems({ latency = {}, failures = {}, answers = {} } = {}) {
+  const real = Mortgage.defaultSubsystems();
+  const simulate = (subsystem, answer) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      if (failures[subsystem]) reject(new Error(failures[subsystem]));
+      else resolve(subsystem in answers ? answers[subsystem] : answer());
+    }, latency[subsystem] || 0);
+  });
+  return {
+    bank: {
+      verify: (name, amount) => simulate('bank', () => real.bank.verify(name, amount)),
+      assess: (applicant, terms) => simulate('affordability', () => real.bank.assess(applicant, terms)),
+    },
+    credit: { get: (name, creditScore) => simulate('credit', () => real.credit.get(name, creditScore)) },
+    background: { check: (name) => simulate('background', () => real.background.check(name)) },
+    amortization: real.amortization,
+  };
+}
+
+// name may also be a full applicant profile, amount the full loan terms
+async function run(name, amount) {
   var mortgage = new Mortgage(name);
-  var result = mortgage.applyFor(amount);
+  var decision = await mortgage.applyFor(amount);
 
-  console.log(result);
+  console.log(formatDecision(decision));
+  return decision;
 }
 
-module.exports = { Mortgage, Bank, Credit, Background, run }
\ No newline at end of file
+module.exports = { Mortgage, MortgageDecision, formatDecision, outcome, UnderwritingPipeline, SubsystemTimeoutError,
+  createFakeSubsystems, underwritingChecks, AuditLog, Applicant, LoanTerms, Amortization, Bank, Credit, Background, run }
\ No newline at end of file
@@ -21,27 +21,534 @@
  * * Can be parameterized to create multiple kinds of products - all products still share the Product interface. 
  * */
 
+class WidgetRegistry {
+  // maps a type key to a widget constructor so new kinds can be plugged in without touching the creator
+  constructor() {
+    this.types = new Map();
+    this.aliases = new Map();
+  }
+
+  register(wType, WidgetClass, { aliases = [], defaults = {} } = {}) {
+    if (typeof wType !== 'string' || !wType) {
+      throw new Error('Widget type key must be a non-empty string')
+    }
+    if (typeof WidgetClass !== 'function') {
+      throw new Error(`Widget type '${wType}' must be registered with a constructor`)
+    }
+    if (this.types.has(wType) || this.aliases.has(wType)) {
+      throw new Error(`Widget type '${wType}' is already registered`)
+    }
+    aliases.forEach(alias => {
+      if (this.types.has(alias) || this.aliases.has(alias)) {
+        throw new Error(`Widget alias '${alias}' is already registered`)
+      }
+    })
+    this.types.set(wType, { WidgetClass, aliases: [...aliases], defaults: { ...defaults } });
+    aliases.forEach(alias => this.aliases.set(alias, wType));
+    return this;
+  }
+
+  unregister(wType) {
+    const key = this.resolve(wType);
+    if (!key) return false;
+    this.types.get(key).aliases.forEach(alias => this.aliases.delete(alias));
+    return this.types.delete(key);
+  }
+
+  resolve(wType) {
+    if (this.types.has(wType)) return wType;
+    return this.aliases.get(wType);
+  }
+
+  has(wType) {
+    return this.resolve(wType) !== undefined;
+  }
+
+  get(wType) {
+    const key = this.resolve(wType);
+    if (!key) {
+      const known = this.list().join(', ') || '(none)';
+      throw new Error(`Unknown widget type '${wType}'. Known types: ${known}`)
+    }
+    return { wType: key, ...this.types.get(key) };
+  }
+
+  list() {
+    return [...this.types.keys()];
+  }
+
+  clone() {
+    const copy = new WidgetRegistry();
+    this.types.forEach(({ WidgetClass, aliases, defaults }, wType) => copy.register(wType, WidgetClass, { aliases, defaults }));
+    return copy;
+  }
+}
+
+// log levels, lowest to highest - an output only passes records at or above its own level
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const consoleSink = record => console.log(record.message);
+
+class WidgetOutput {
+  // injectable channel every widget action reports through - sink receives structured records
+  constructor({ level = 'info', sink = consoleSink } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown output level '${level}'. Known levels: ${Object.keys(LEVELS).join(', ')}`)
+    }
+    this.level = level;
+    this.sink = sink;
+  }
+
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return null;
+    const record = { level, message, ...fields, at: Date.now() };
+    this.sink(record);
+    return record;
+  }
+
+  debug(message, fields) { return this.log('debug', message, fields); }
+  info(message, fields) { return this.log('info', message, fields); }
+  warn(message, fields) { return this.log('warn', message, fields); }
+  error(message, fields) { return this.log('error', message, fields); }
+
+  static silent() {
+    return new WidgetOutput({ level: 'silent' });
+  }
+
+  static memory(level = 'debug') {
+    // keeps every record on .records - handy in tests
+    const records = [];
+    const output = new WidgetOutput({ level, sink: record => records.push(record) });
+    output.records = records;
+    return output;
+  }
+}
+
+WidgetOutput.default = new WidgetOutput();
+
+class WidgetInventory {
+  // tracks the live widgets a creator has produced, plus a per-type pool of recycled ones
+  constructor() {
+    this.items = new Map();
+    this.pool = new Map();
+    this.listeners = { created: [], destroyed: [], recycled: [] };
+  }
+
+  on(event, fn) {
+    if (!this.listeners[event]) throw new Error(`Unknown inventory event '${event}'`)
+    this.listeners[event].push(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(listener => listener !== fn);
+  }
+
+  emit(event, widget) {
+    this.listeners[event].slice().forEach(listener => listener(widget, this));
+  }
+
+  add(widget) {
+    this.items.set(widget.id, widget);
+    this.emit('created', widget);
+    return widget;
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  get(id) {
+    return this.items.get(id);
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  ids() {
+    return [...this.items.keys()];
+  }
+
+  all() {
+    return [...this.items.values()];
+  }
+
+  // filter is either a predicate or an object of field matchers - a number/string matches exactly,
+  // a { min, max } object matches a range (handy for dimensions)
+  query(filter = {}) {
+    const predicate = typeof filter === 'function' ? filter : widget =>
+      Object.entries(filter).every(([field, expected]) => matchesField(widget[field], expected));
+    return this.all().filter(predicate);
+  }
+
+  countByType() {
+    return this.all().reduce((counts, { wType }) => {
+      counts[wType] = (counts[wType] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  dispose(id) {
+    const widget = this.items.get(id);
+    if (!widget) return false;
+    this.items.delete(id);
+    this.emit('destroyed', widget);
+    return true;
+  }
+
+  recycle(id) {
+    const widget = this.items.get(id);
+    if (!widget) return false;
+    this.items.delete(id);
+    this.restoreRecycled(widget);
+    this.emit('recycled', widget);
+    return true;
+  }
+
+  takeRecycled(wType) {
+    const pooled = this.pool.get(wType);
+    return pooled && pooled.length ? pooled.pop() : undefined;
+  }
+
+  restoreRecycled(widget) {
+    // puts a taken widget back in the pool, e.g. when creating from it failed
+    if (!this.pool.has(widget.wType)) this.pool.set(widget.wType, []);
+    this.pool.get(widget.wType).push(widget);
+  }
+}
+
+function matchesField(value, expected) {
+  if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+    const { min = -Infinity, max = Infinity } = expected;
+    return typeof value === 'number' && value >= min && value <= max;
+  }
+  return value === expected;
+}
+
 class WidgetCreator {
   //'Creator class'
-  constructor() {
-    this.widgets = [];
+  constructor({
+    registry = WidgetCreator.registry.clone(), // a private copy, so registerType/unregisterType stay local to this creator
+    idStrategy = null,
+    inventory = new WidgetInventory(),
+    output = WidgetOutput.default,
+  } = {}) {
+    this.registry = registry;
+    this.output = output;
+    this.idStrategy = idStrategy; // null keeps the id each widget subtype assigns itself
+    this.widgets = inventory;
+  }
+
+  registerType(wType, WidgetClass, options) {
+    this.registry.register(wType, WidgetClass, options);
+    return this;
+  }
+
+  unregisterType(wType) {
+    return this.registry.unregister(wType);
+  }
+
+  listTypes() {
+    return this.registry.list();
+  }
+
+  createWidget(wType, options = {}) { // the 'factory method'
+    const { wType: key, WidgetClass, defaults } = this.registry.get(wType);
+    const fields = { ...defaults, ...options };
+    if ('wType' in fields) {
+      throw new WidgetSpecError([{ field: 'wType', message: 'is chosen by the factory and cannot be passed as an option' }])
+    }
+    validateSpec({ ...fields, wType: key }, this.registry); // also rejects id, output and other non-Widget fields
+    const recycled = this.widgets.takeRecycled(key);
+    const newWidget = recycled || new WidgetClass({ output: this.output });
+    if (recycled) newWidget.reset(this.output);
+    Object.assign(newWidget, fields);
+    try {
+      if (this.idStrategy) newWidget.id = this.nextId(newWidget);
+      if (!newWidget.id) {
+        throw new Error('Widget Subtype must specify unique id')
+      }
+      if (this.hasId(newWidget.id)) {
+        throw new Error(`Widget id collision: '${newWidget.id}' is already in use`)
+      }
+    } catch (error) {
+      if (recycled) this.widgets.restoreRecycled(recycled); // a failed create doesn't cost the pool its widget
+      throw error;
+    }
+    // reported only now, once the widget's final id is known - and recycled widgets are announced too
+    newWidget.reportCreated();
+    return this.widgets.add(newWidget);
+  }
+
+  hasId(id) {
+    return this.widgets.has(id);
+  }
+
+  getWidget(id) {
+    return this.widgets.get(id);
+  }
+
+  findWidgets(filter) {
+    return this.widgets.query(filter);
   }
-  createWidget(wType) { // the 'factory method'
-    let newWidget;
-    if (wType === 'bouncy') newWidget = new BouncyWidget();
-    if (wType === 'rolypoly') newWidget = new RolyPolyWidget();
-    if (wType === 'squishy') newWidget = new SquishyWidget();
-    if (!newWidget.id) {
-      throw new Error('Widget Subtype must specify unique id')
+
+  countByType() {
+    return this.widgets.countByType();
+  }
+
+  disposeWidget(id) {
+    return this.widgets.dispose(id);
+  }
+
+  recycleWidget(id) {
+    return this.widgets.recycle(id);
+  }
+
+  nextId(widget) {
+    // strategies may collide (e.g. random ones) so give them a few tries before giving up
+    for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+      const id = this.idStrategy(widget, this);
+      if (!this.hasId(id)) return id;
+    }
+    throw new Error(`ID strategy failed to produce a unique id after ${MAX_ID_ATTEMPTS} attempts`)
+  }
+
+  createFromSpec(spec) {
+    validateSpec(spec, this.registry);
+    const { wType, ...fields } = spec;
+    return this.createWidget(wType, fields);
+  }
+
+  fromJSON(json) {
+    // accepts a single descriptor or a whole catalog (array of descriptors)
+    const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Array.isArray(parsed)) return this.createFromSpec(parsed);
+    // a catalog is all-or-nothing: every entry is checked before the first widget is made, and the errors of
+    // all bad entries are reported together, each field prefixed with the entry's index
+    const errors = [];
+    parsed.forEach((spec, index) => {
+      try {
+        validateSpec(spec, this.registry);
+      } catch (error) {
+        if (!(error instanceof WidgetSpecError)) throw error;
+        error.errors.forEach(({ field, message }) => errors.push({ field: `[${index}].${field}`, message }));
+      }
+    });
+    if (errors.length) throw new WidgetSpecError(errors);
+    return parsed.map(spec => this.createFromSpec(spec));
+  }
+}
+
+const MAX_ID_ATTEMPTS = 10;
+
+// what a recycled widget is wiped back to before it's handed out again
+const BLANK_FIELDS = { name: null, color: null, length: null, height: null, width: null, weight: null };
+
+// mulberry32 - small seedable PRNG so ids can be reproduced across runs
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ID strategies: each returns a function (widget, creator) => id for the creator's 'idStrategy' option
+const idStrategies = {
+  sequential({ start = 1 } = {}) {
+    let next = start;
+    return () => next++;
+  },
+
+  seeded(seed = 1) {
+    const random = seededRandom(seed);
+    return () => Math.floor(random() * Number.MAX_SAFE_INTEGER) || 1;
+  },
+
+  uuid({ seed } = {}) {
+    // v4-shaped, but only as random as its source - pass a seed for reproducible ids
+    const random = seed === undefined ? Math.random : seededRandom(seed);
+    return () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+      const nibble = Math.floor(random() * 16);
+      return (char === 'x' ? nibble : (nibble & 0x3) | 0x8).toString(16);
+    });
+  },
+
+  prefixed(strategy = idStrategies.sequential()) {
+    return (widget, creator) => `${widget.wType}-${strategy(widget, creator)}`;
+  },
+};
+
+// declarative descriptor schema - mirrors the fields declared on the Widget base class
+const SPEC_FIELDS = {
+  wType: { type: 'string', required: true },
+  name: { type: 'string' },
+  color: { type: 'string' },
+  length: { type: 'number' },
+  height: { type: 'number' },
+  width: { type: 'number' },
+  weight: { type: 'number' },
+  shapes: { type: 'array' },
+};
+
+class WidgetSpecError extends Error {
+  constructor(errors) {
+    super(`Invalid widget spec:\n${errors.map(e => `  - ${e.field}: ${e.message}`).join('\n')}`)
+    this.name = 'WidgetSpecError'
+    this.errors = errors
+  }
+}
+
+function validateSpec(spec, registry = WidgetCreator.registry) {
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new WidgetSpecError([{ field: '(spec)', message: 'must be a plain object' }])
+  }
+  const errors = [];
+  Object.keys(spec).forEach(field => {
+    if (!SPEC_FIELDS[field]) errors.push({ field, message: 'is not a Widget field' });
+  });
+  Object.entries(SPEC_FIELDS).forEach(([field, { type, required }]) => {
+    const value = spec[field];
+    if (value === undefined || value === null) {
+      if (required) errors.push({ field, message: 'is required' });
+      return;
+    }
+    if (type === 'array') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        errors.push({ field, message: 'must be an array of strings' });
+      }
+    } else if (type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push({ field, message: 'must be a non-negative number' });
+      }
+    } else if (typeof value !== type) {
+      errors.push({ field, message: `must be a ${type}` });
+    }
+  });
+  if (typeof spec.wType === 'string' && !registry.has(spec.wType)) {
+    errors.push({ field: 'wType', message: `unknown type '${spec.wType}' (known: ${registry.list().join(', ')})` });
+  }
+  if (errors.length) throw new WidgetSpecError(errors);
+  return true;
+}
+
+class ShapeShiftError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'ShapeShiftError'
+    this.code = code
+  }
+}
+
+class ShapeMachine {
+  // state machine behind Widget.shapeShift - transitions default to 'any shape to any other shape'
+  constructor(shapes = [], options = {}) {
+    this.transitions = null
+    this.guards = []
+    this.hooks = { enter: {}, exit: {} }
+    this.mode = 'random'
+    this.random = Math.random
+    this.configure(options)
+    this.setShapes(shapes)
+  }
+
+  configure({ transitions, guards, onEnter, onExit, mode, random } = {}) {
+    if (transitions !== undefined) this.transitions = transitions
+    if (guards) guards.forEach(guard => this.addGuard(guard))
+    if (onEnter) Object.entries(onEnter).forEach(([shape, fn]) => this.onEnter(shape, fn))
+    if (onExit) Object.entries(onExit).forEach(([shape, fn]) => this.onExit(shape, fn))
+    if (mode !== undefined) {
+      if (!['random', 'sequential'].includes(mode)) {
+        throw new Error(`Unknown shapeShift mode '${mode}' - expected 'random' or 'sequential'`)
+      }
+      this.mode = mode
+    }
+    if (random !== undefined) this.random = random
+    return this
+  }
+
+  setShapes(shapes) {
+    this.shapes = [...shapes]
+    this.current = this.shapes[0]
+    this.history = []
+    // transitions written for another set of shapes would strand the widget - fall back to 'any to any'
+    if (this.transitions && !this.transitionsFit()) this.transitions = null
+  }
+
+  transitionsFit() {
+    return Object.entries(this.transitions).every(([from, targets]) =>
+      this.shapes.includes(from) && targets.every(to => this.shapes.includes(to)))
+  }
+
+  addGuard(guard) {
+    // guard(from, to, widget) returns false to veto a transition
+    this.guards.push(guard)
+    return this
+  }
+
+  onEnter(shape, fn) {
+    this.hooks.enter[shape] = fn
+    return this
+  }
+
+  onExit(shape, fn) {
+    this.hooks.exit[shape] = fn
+    return this
+  }
+
+  allowedFrom(shape) {
+    if (!this.transitions) return this.shapes.filter(candidate => candidate !== shape)
+    return (this.transitions[shape] || []).filter(candidate => this.shapes.includes(candidate))
+  }
+
+  pickNext(allowed) {
+    if (this.mode === 'sequential') {
+      // walk the declared shape order, wrapping around, and take the first allowed shape
+      const start = this.shapes.indexOf(this.current)
+      for (let step = 1; step <= this.shapes.length; step++) {
+        const candidate = this.shapes[(start + step) % this.shapes.length]
+        if (allowed.includes(candidate)) return candidate
+      }
     }
-    this.widgets.push(newWidget.id);
-    return newWidget;
+    return allowed[Math.floor(this.random() * allowed.length)]
+  }
+
+  shift(widget, to) {
+    if (this.shapes.length < 2) {
+      throw new ShapeShiftError('NO_SHAPES', `${widget.wType} widgets can't shape shift`)
+    }
+    const from = this.current
+    const allowed = this.allowedFrom(from)
+    if (to === undefined) {
+      if (!allowed.length) {
+        throw new ShapeShiftError('NO_TRANSITION', `No transitions out of shape '${from}'`)
+      }
+      to = this.pickNext(allowed)
+    } else if (!this.shapes.includes(to)) {
+      throw new ShapeShiftError('UNKNOWN_SHAPE', `Unknown shape '${to}' - known shapes: ${this.shapes.join(', ')}`)
+    } else if (!allowed.includes(to)) {
+      throw new ShapeShiftError('NOT_ALLOWED', `Can't shift from '${from}' to '${to}'`)
+    }
+    if (!this.guards.every(guard => guard(from, to, widget) !== false)) {
+      throw new ShapeShiftError('GUARD_REJECTED', `Shift from '${from}' to '${to}' was rejected by a guard`)
+    }
+    if (this.hooks.exit[from]) this.hooks.exit[from](from, to, widget)
+    this.current = to
+    if (this.hooks.enter[to]) this.hooks.enter[to](from, to, widget)
+    this.history.push({ from, to, at: Date.now() })
+    return to
   }
 }
 
 class Widget {
   //abstract 'product' class
-  constructor() {
+  constructor({ output = WidgetOutput.default } = {}) {
+    this.output = output
     this.id = null
     this.wType = null
     this.name = null
@@ -50,9 +557,7 @@ class Widget {
     this.height = null
     this.width = null
     this.weight = null
-    this.shapes = []
-    this.currentShape = this.shapes[0];
-
+    this.shapeMachine = new ShapeMachine()
 
     if (this.constructor === Widget) {
       throw new Error("Abstract classes can't be instantiated");
@@ -67,12 +572,69 @@ class Widget {
     throw new Error("Method 'speak()' must be implemented")
   }
 
-  shapeShift() {
-    if (this.shapes.length > 0) {
-      this.currentShape = this.shapes[Math.floor(Math.random() * this.shapes.length)]
-    }
-    else console.log("This widget doesn't yet have shapeShifting capabilities")
-    return this.currentShape
+  // shapes and currentShape live on the state machine so subclasses can fill 'shapes' after super()
+  get shapes() {
+    return this.shapeMachine.shapes
+  }
+
+  set shapes(shapes) {
+    this.shapeMachine.setShapes(shapes)
+  }
+
+  get currentShape() {
+    return this.shapeMachine.current
+  }
+
+  get shapeHistory() {
+    return this.shapeMachine.history
+  }
+
+  configureShapes(options) {
+    this.shapeMachine.configure(options)
+    return this
+  }
+
+  canShapeShift() {
+    return this.shapes.length > 1 && this.shapeMachine.allowedFrom(this.currentShape).length > 0
+  }
+
+  shapeShift(to) {
+    // throws a ShapeShiftError when the widget has no shapes or the transition isn't allowed
+    const from = this.currentShape
+    const shape = this.shapeMachine.shift(this, to)
+    this.report('shapeShift', `shifted from ${from} to ${shape}`, 'debug')
+    return shape
+  }
+
+  setOutput(output) {
+    this.output = output
+    return this
+  }
+
+  reset(output = this.output) {
+    // back to factory condition for recycling: blank fields and a shape machine rebuilt the way the subclass sets it up,
+    // so shapes, current shape, history, guards and hooks from the previous life are dropped
+    const pristine = new this.constructor({ output })
+    this.shapeMachine = pristine.shapeMachine
+    Object.assign(this, BLANK_FIELDS, { output })
+    return this
+  }
+
+  reportCreated() {
+    return this.report('create', `${this.constructor.label || this.wType} Widget Created`)
+  }
+
+  report(action, message, level = 'info') {
+    return this.output.log(level, message, { widgetId: this.id, wType: this.wType, action })
+  }
+
+  toJSON() {
+    // serializes to a descriptor that WidgetCreator.fromJSON can rebuild - ids are left to the creator
+    const spec = {};
+    Object.keys(SPEC_FIELDS).forEach(field => {
+      if (this[field] !== undefined) spec[field] = this[field];
+    });
+    return spec;
   }
 
   toString() {
@@ -82,67 +644,77 @@ class Widget {
 
 // CONCRETE PRODUCT SUBCLASSES
 class BouncyWidget extends Widget {
-  constructor() {
-    super()
+  constructor(options) {
+    super(options)
     this.id = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
     this.wType = 'bouncy'
-    delete this.shapes
-    delete this.currentShape
-    console.log("Bouncy Widget Created")
   }
   move() {
-    console.log("bounce, bounce, bounce")
+    return this.report('move', "bounce, bounce, bounce")
   }
 
   speak() {
-    console.log("Gummy Beeeeaaaaars, Bouncin' here and there and every where!!")
+    return this.report('speak', "Gummy Beeeeaaaaars, Bouncin' here and there and every where!!")
   }
 }
 class RolyPolyWidget extends Widget {
-  constructor() {
-    super()
+  constructor(options) {
+    super(options)
     this.id = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
     this.wType = 'rolypoly'
     this.shapes = ['roly', 'poly']
-    console.log("RolyPoly Widget Created")
   }
   move() {
-    console.log("rollin' rollin' rollin'")
+    return this.report('move', "rollin' rollin' rollin'")
   }
 
   speak() {
-    console.log("Life is but a series of endless circles")
+    return this.report('speak', "Life is but a series of endless circles")
   }
 
 }
 
 class SquishyWidget extends Widget {
-  constructor() {
-    super()
+  constructor(options) {
+    super(options)
     this.id = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
     this.wType = 'squishy'
-    console.log("Squishy Widget Created")
     this.shapes = ['flat', 'ball', 'teardrop']
+    this.configureShapes({
+      // squishies have to pass through 'ball' on the way between the other shapes
+      transitions: { flat: ['ball'], ball: ['flat', 'teardrop'], teardrop: ['ball'] }
+    })
   }
   move() {
-    console.log("squish, splat, splop")
+    return this.report('move', "squish, splat, splop")
   }
 
   speak() {
-    console.log("pssffffffftttssssssslllllluuuuuuuuppppppsssssqqqqqquuuuiiissshhhh")
+    return this.report('speak', "pssffffffftttssssssslllllluuuuuuuuppppppsssssqqqqqquuuuiiissshhhh")
   }
 
 }
 
 //add customized factory
 class BouncyFactory extends WidgetCreator {
-  constructor() {
-    super()
+  constructor(options) {
+    super(options)
     this.wType = 'bouncy'
-    delete this.widgets
   }
-  createWidget() {
-    return new BouncyWidget()
+  createWidget(options) {
+    return super.createWidget(this.wType, options)
   }
 }
-module.exports = { WidgetCreator, Widget, BouncyFactory }
\ No newline at end of file
+
+BouncyWidget.label = 'Bouncy'
+RolyPolyWidget.label = 'RolyPoly'
+SquishyWidget.label = 'Squishy'
+
+// built-in types every creator starts from; register here to make a type available to creators made afterwards
+WidgetCreator.registry = new WidgetRegistry()
+  .register('bouncy', BouncyWidget)
+  .register('rolypoly', RolyPolyWidget, { aliases: ['roly-poly'] })
+  .register('squishy', SquishyWidget)
+
+module.exports = { WidgetCreator, WidgetRegistry, WidgetInventory, WidgetSpecError, validateSpec, idStrategies,
+  ShapeMachine, ShapeShiftError, WidgetOutput, Widget, BouncyFactory }
\ No newline at end of file
@@ -41,7 +41,123 @@
  * 
  */
 
-//Simple chatroom example - could be extended with filters, etc.
+//Simple chatroom example - extended with a message pipeline: messages are typed, and every message passes through the
+//room's middleware (filters, rate limits, transforms) before delivery. Middleware is function (message, room) that
+//returns the message to pass along (modified or not) or throws a MessageRejectedError; rejections are reported back to
+//the sender through participant.rejected(message, reason) and send() returns { delivered, reason }
+
+var MESSAGE_FORMATS = {
+    text: function (message) { return message.body; },
+    emote: function (message) { return "* " + (message.fromName || message.from.name) + " " + message.body; },
+    image: function (message) { return "[image: " + message.body + "]"; },
+    link: function (message) { return "[link: " + message.body + "]"; },
+    notice: function (message) { return "* " + message.body; }  // sent by the room itself - participants can't send these
+};
+
+var Message = function (content, from, to, room) {
+    // plain strings are text messages; anything else is { type, body }
+    var typed = typeof content === 'string' ? { type: 'text', body: content } : content;
+    if (!typed || !MESSAGE_FORMATS[typed.type]) {
+        throw new MessageRejectedError("unsupported message type '" + (typed && typed.type) + "'");
+    }
+    if (typeof typed.body !== 'string') {
+        throw new MessageRejectedError("'" + typed.type + "' messages need a string body");
+    }
+    this.type = typed.type;
+    this.body = typed.body;
+    this.from = from;
+    this.fromName = from ? from.name : null;  // the chatroom replaces it with the sender's name in that chatroom
+    this.to = to || null;
+    this.room = room || null;
+    this.sentAt = Date.now();
+};
+
+Message.prototype = {
+    toString: function () {
+        return MESSAGE_FORMATS[this.type](this);
+    }
+};
+
+class MessageRejectedError extends Error {
+    constructor(reason) {
+        super(reason);
+        this.name = 'MessageRejectedError';
+        this.reason = reason;
+    }
+}
+
+// ready-made middleware
+var filters = {
+
+    // mode 'mask' stars the words out, mode 'reject' refuses the whole message
+    profanity: function (words, mode) {
+        if (!words.length) return function (message) { return message; };  // an empty alternation would match everywhere
+        // words are matched literally; \b wouldn't fire after a word ending in a symbol ('c++'), so whole words are
+        // delimited by "no word character on either side" instead
+        var escaped = words.map(function (word) {
+            return word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        });
+        var pattern = new RegExp("(?<!\\w)(" + escaped.join("|") + ")(?!\\w)", "gi");
+        return function (message) {
+            if (message.type !== 'text' && message.type !== 'emote') return message;
+            if (mode === 'reject' && message.body.search(pattern) !== -1) {
+                throw new MessageRejectedError("message contains blocked language");
+            }
+            message.body = message.body.replace(pattern, function (word) {
+                return new Array(word.length + 1).join("*");
+            });
+            return message;
+        };
+    },
+
+    // rejects the same body sent by the same participant more than maxRepeats times in a row
+    spam: function (maxRepeats) {
+        var last = new Map();  // participant -> { body, count }
+        return function (message) {
+            var previous = last.get(message.from);
+            var count = previous && previous.body === message.body ? previous.count + 1 : 1;
+            last.set(message.from, { body: message.body, count: count });
+            if (count > maxRepeats) throw new MessageRejectedError("message repeated too many times");
+            return message;
+        };
+    },
+
+    // at most max messages per participant in any perMs window
+    rateLimit: function (max, perMs, now) {
+        now = now || Date.now;
+        var sent = new Map();  // participant -> timestamps
+        return function (message) {
+            var current = now();
+            var recent = (sent.get(message.from) || []).filter(function (time) {
+                return current - time < perMs;
+            });
+            if (recent.length >= max) {
+                sent.set(message.from, recent);
+                throw new MessageRejectedError("rate limit exceeded - " + max + " messages per " + perMs + "ms");
+            }
+            recent.push(current);
+            sent.set(message.from, recent);
+            return message;
+        };
+    },
+
+    // only lets the listed message types through
+    types: function (allowed) {
+        return function (message) {
+            if (allowed.indexOf(message.type) === -1) {
+                throw new MessageRejectedError("'" + message.type + "' messages aren't allowed here");
+            }
+            return message;
+        };
+    },
+
+    transform: function (fn) {
+        return function (message) {
+            message.body = fn(message.body, message);
+            return message;
+        };
+    }
+};
 
 var Participant = function (name) {
     this.name = name;
@@ -49,34 +165,173 @@ var Participant = function (name) {
 };
 
 Participant.prototype = {
+    // to is another participant (direct message) or a room name (room broadcast); no 'to' broadcasts to the lobby
     send: function (message, to) {
-        this.chatroom.send(message, this, to);
+        return this.chatroom.send(message, this, to);
+    },
+    join: function (room) {
+        this.chatroom.join(this, room);
+    },
+    leave: function (room) {
+        this.chatroom.leave(this, room);
     },
     receive: function (message, from) {
-        console.log(from.name + " to " + this.name + ": " + message);
+        console.log((from.label || message.fromName || from.name) + " to " + this.name + ": " + message);
+    },
+    rejected: function (message, reason) {
+        console.log("(to " + this.name + ") your message was not delivered: " + reason);
     }
 };
 
-var Chatroom = function () {
-    var participants = {};
+// Rooms: the chatroom mediates any number of named rooms. Everyone registered is quietly put in the 'lobby', which is
+// where messages without a recipient go; join/leave/kick announce themselves to the room's other members with a notice.
+// message.room is always the bare room name - the '#name' label is only for display. Participant names are unique -
+// a duplicate is rejected, or renamed "Name (2)" when the chatroom is created with { duplicateNames: 'rename' }. A rename
+// only holds inside that chatroom - the participant keeps its own name, so it can still be used in other chatrooms
+var Chatroom = function (options) {
+    options = options || {};
+    var participants = {};    // name in this chatroom -> participant
+    var names = new Map();    // participant -> name in this chatroom
+    var middleware = [];
+    var rooms = new Map();  // room name -> { name, label, members: Set of participants }
+
+    function getRoom(name) {
+        var room = rooms.get(name);
+        if (!room) throw new Error("No room named '" + name + "'");
+        return room;
+    }
+
+    function notice(room, text, except) {
+        var message = new Message({ type: 'notice', body: text }, room, null, room.name);
+        message.fromName = room.label;
+        room.members.forEach(function (member) {
+            if (member !== except) member.receive(message, room);
+        });
+    }
+
+    function registered(participant) {
+        if (!names.has(participant)) {
+            throw new Error(participant.name + " isn't registered with this chatroom");
+        }
+    }
+
+    function runMiddleware(message, room) {
+        return middleware.reduce(function (current, step) {
+            var result = step(current, room);
+            return result === undefined ? current : result;
+        }, message);
+    }
 
     return {
 
         register: function (participant) {
-            participants[participant.name] = participant;
+            if (names.has(participant)) return names.get(participant);
+            var name = participant.name;
+            if (participants[name]) {
+                if (options.duplicateNames !== 'rename') {
+                    throw new Error("The name '" + name + "' is already taken");
+                }
+                var suffix = 2;
+                while (participants[name + " (" + suffix + ")"]) suffix++;
+                name = name + " (" + suffix + ")";
+            }
+            participants[name] = participant;
+            names.set(participant, name);
             participant.chatroom = this;
+            this.createRoom('lobby');
+            getRoom('lobby').members.add(participant);
+            return name;
+        },
+
+        unregister: function (participant) {
+            registered(participant);
+            var self = this;
+            this.roomsOf(participant).forEach(function (room) {
+                self.leave(participant, room);
+            });
+            delete participants[names.get(participant)];
+            names.delete(participant);
+            if (participant.chatroom === this) participant.chatroom = null;
+        },
+
+        createRoom: function (name) {
+            if (!rooms.has(name)) rooms.set(name, { name: name, label: '#' + name, members: new Set() });
+            return name;
+        },
+
+        join: function (participant, name) {
+            registered(participant);
+            this.createRoom(name);
+            var room = getRoom(name);
+            if (room.members.has(participant)) return;
+            room.members.add(participant);
+            notice(room, names.get(participant) + " has joined " + room.label, participant);
+        },
+
+        leave: function (participant, name) {
+            var room = getRoom(name);
+            if (!room.members.delete(participant)) return;
+            notice(room, names.get(participant) + " has left " + room.label);
+        },
+
+        kick: function (participant, name, reason) {
+            var room = getRoom(name);
+            if (!room.members.has(participant)) return false;
+            var because = reason ? " (" + reason + ")" : "";
+            room.members.delete(participant);
+            participant.receive(new Message({ type: 'notice', body: "you were removed from " + room.label + because }, room, participant, room.name), room);
+            notice(room, names.get(participant) + " was removed from " + room.label + because);
+            return true;
         },
 
-        send: function (message, from, to) {
-            if (to) {                      // single message
-                to.receive(message, from);
-            } else {                       // broadcast message
-                for (key in participants) {
-                    if (participants[key] !== from) {
-                        participants[key].receive(message, from);
-                    }
+        rooms: function () {
+            return Array.from(rooms.keys());
+        },
+
+        members: function (name) {
+            return Array.from(getRoom(name).members).map(function (member) {
+                return names.get(member);
+            });
+        },
+
+        roomsOf: function (participant) {
+            return this.rooms().filter(function (name) {
+                return rooms.get(name).members.has(participant);
+            });
+        },
+
+        use: function (step) {
+            middleware.push(step);
+            return this;
+        },
+
+        send: function (content, from, to) {
+            var message;
+            var roomName = typeof to === 'string' ? to : to ? null : 'lobby';
+            try {
+                if (content && content.type === 'notice') {
+                    throw new MessageRejectedError("notices are reserved for the room");
                 }
+                if (roomName && !(rooms.has(roomName) && rooms.get(roomName).members.has(from))) {
+                    throw new MessageRejectedError("you're not a member of #" + roomName);
+                }
+                message = new Message(content, from, roomName ? null : to, roomName);
+                if (names.has(from)) message.fromName = names.get(from);
+                message = runMiddleware(message, this);
+            } catch (error) {
+                if (!(error instanceof MessageRejectedError)) throw error;
+                if (from && typeof from.rejected === 'function') from.rejected(content, error.reason);
+                return { delivered: false, reason: error.reason };
+            }
+
+            if (message.to) {              // single message
+                message.to.receive(message, from);
+            } else {                       // room broadcast - the lobby when no recipient was given
+                getRoom(message.room).members.forEach(function (member) {
+                    if (member !== from) member.receive(message, from);
+                });
             }
+            return { delivered: true, message: message };
         }
     };
 };
@@ -99,6 +354,37 @@ function run() {
     john.send("Hey, no need to broadcast", yoko);
     paul.send("Ha, I heard that!");
     ringo.send("Paul, what do you think?", paul);
+
+    // a moderated room
+
+    var moderated = new Chatroom()
+        .use(filters.types(['text', 'emote']))
+        .use(filters.profanity(['darn'], 'mask'))
+        .use(filters.spam(2));
+    [yoko, john].forEach(function (participant) {
+        moderated.register(participant);
+    });
+
+    john.send({ type: 'emote', body: "waves" });
+    john.send("darn, that's nice");
+    yoko.send({ type: 'image', body: "https://example.com/bed-in.png" });
+    john.send("Hello?");
+    john.send("Hello?");
+    john.send("Hello?");
+
+    // rooms
+
+    var studio = new Chatroom({ duplicateNames: 'rename' });
+    [paul, ringo, new Participant("Paul")].forEach(function (participant) {
+        studio.register(participant);
+    });
+    paul.join('abbey-road');
+    ringo.join('abbey-road');
+    paul.send("Take 2?", 'abbey-road');
+    console.log("#abbey-road members: " + studio.members('abbey-road').join(", "));
+    console.log("#lobby members: " + studio.members('lobby').join(", "));
+    studio.kick(ringo, 'abbey-road', "drum solo");
+    ringo.send("Let me back in", 'abbey-road');
 }
 
-module.exports = {Chatroom, Participant, run}
\ No newline at end of file
+module.exports = {Chatroom, Participant, Message, MessageRejectedError, filters, run}
\ No newline at end of file
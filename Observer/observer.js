@@ -60,34 +60,519 @@
 *  ** Combining Subject and Observer Classes ** Class libraries written in languages that lack multiple inheritence generally don't separate Subject and Observer classes but combine their interfaces in one class. That lest you define an object that acts as both a subject and an observer without multiple inheritance. 
 *
  */
-function Click() {
-    this.handlers = [];  // observers
+// Topics ("aspects" of interest): handlers subscribe to a named topic and emit(topic, ...) only reaches matching handlers.
+// Topics are dot-namespaced - a '*' segment matches any one segment, and a trailing '*' matches everything below it,
+// so 'cart.*' hears 'cart.add' and 'cart.item.removed'. A handler subscribed without a topic listens to '*' (everything),
+// which keeps subscribe(fn)/fire(o) working as before. Higher priority handlers run first, ties in subscription order.
+function topicMatches(pattern, topic) {
+    if (pattern === '*' || pattern === topic) return true;
+    var patternParts = pattern.split('.');
+    var topicParts = topic.split('.');
+    for (var i = 0; i < patternParts.length; i++) {
+        var last = i === patternParts.length - 1;
+        if (patternParts[i] === '*') {
+            if (last) return topicParts.length > i;
+            if (i >= topicParts.length) return false;
+        } else if (patternParts[i] !== topicParts[i]) {
+            return false;
+        }
+    }
+    return patternParts.length === topicParts.length;
+}
+
+// Dispatch guarantees:
+//  - every fire/emit works from a snapshot taken when it starts: handlers subscribed mid-dispatch wait for the next event,
+//    handlers unsubscribed mid-dispatch are not called again, even by the dispatch already under way
+//  - a throwing handler doesn't stop the others. Errors go to onError(error, { topic, data, handler }) when one is set,
+//    otherwise they're rethrown together (as an AggregateError) once every handler has had its turn
+//  - subscribe returns a token - call it, or pass it to unsubscribe, to remove exactly that subscription
+//
+// Batching and deferral (see "Who triggers the update?" above):
+//  - batch(fn) holds every fire/emit made inside fn and delivers them when the outermost batch ends; if fn throws,
+//    the events it queued are dropped and fn's error is rethrown - nothing from a failed batch is delivered
+//  - { deferred: true } queues every fire/emit and delivers them together on the next microtask. A deferred flush
+//    never throws: handler errors go to onError, or to Click.reportError when no onError is set
+//  - { coalesceKey: function (topic, data) { return key; } } folds queued events with the same key into one -
+//    the latest data wins, delivered at the position of the first. Returning undefined leaves an event alone
+// Push vs pull: push handlers receive the data; handlers subscribed with { pull: true } (or every handler when the
+// subject is created with { model: 'pull' }) receive only the subject ({ subject }, defaulting to the Click) and query it
+function Click(options) {
+    options = options || {};
+    this.handlers = [];  // observers - { topic, fn, once, priority, seq, active, token, pull } records
+    this.seq = 0;
+    this.onError = options.onError || null;
+    this.deferred = !!options.deferred;
+    this.coalesceKey = options.coalesceKey || null;
+    this.model = options.model || 'push';
+    this.subject = options.subject || this;
+    this.queue = [];
+    this.batchDepth = 0;
+    this.flushScheduled = false;
 }
 
 Click.prototype = {
 
-    subscribe: function (fn) {
-        this.handlers.push(fn);
+    // subscribe(fn, options) or subscribe(topic, fn, options); options: { once, priority }
+    subscribe: function (topic, fn, options) {
+        if (typeof topic === 'function') {
+            options = fn;
+            fn = topic;
+            topic = '*';
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError("subscribe needs a handler function");
+        }
+        options = options || {};
+        var self = this;
+        var record = {
+            topic: topic,
+            fn: fn,
+            once: !!options.once,
+            priority: options.priority || 0,
+            seq: this.seq++,
+            active: true,
+            pull: options.pull === undefined ? this.model === 'pull' : !!options.pull
+        };
+        record.token = function unsubscribeToken() {
+            self.remove(record);
+        };
+        this.handlers.push(record);
+        this.handlers.sort(function (a, b) {
+            return b.priority - a.priority || a.seq - b.seq;
+        });
+        return record.token;
+    },
+
+    once: function (topic, fn, options) {
+        if (typeof topic === 'function') {
+            options = fn;
+            fn = topic;
+            topic = '*';
+        }
+        return this.subscribe(topic, fn, Object.assign({}, options, { once: true }));
+    },
+
+    // unsubscribe(token) drops that one subscription, unsubscribe(fn) the handler from every topic,
+    // unsubscribe(topic, fn) from that topic only. Returns how many subscriptions were removed
+    unsubscribe: function (topic, fn) {
+        if (typeof topic === 'function') {
+            fn = topic;
+            topic = undefined;
+        }
+        var removed = 0;
+        this.handlers = this.handlers.filter(function (item) {
+            var matches = (item.token === fn || item.fn === fn) &&
+                (topic === undefined || item.topic === topic);
+            if (matches) {
+                item.active = false;
+                removed++;
+            }
+            return !matches;
+        });
+        return removed;
+    },
+
+    remove: function (record) {
+        record.active = false;
+        this.handlers = this.handlers.filter(function (item) {
+            return item !== record;
+        });
+    },
+
+    dispatch: function (matches, data, topic, thisObj) {
+        var scope = thisObj || global || window;
+        var snapshot = this.handlers.slice();
+        var errors = [];
+        for (var i = 0; i < snapshot.length; i++) {
+            var item = snapshot[i];
+            if (!item.active || !matches(item)) continue;
+            if (item.once) this.remove(item);
+            var args = item.pull ? [this.subject] : [data];
+            if (topic !== '*') args.push(topic);
+            try {
+                item.fn.apply(scope, args);
+            } catch (error) {
+                errors.push(error);
+                if (this.onError) this.onError(error, { topic: topic, data: data, handler: item.fn });
+            }
+        }
+        if (errors.length && !this.onError) {
+            throw errors.length === 1 ? errors[0]
+                : new AggregateError(errors, errors.length + " handlers failed for '" + topic + "'");
+        }
     },
 
-    unsubscribe: function (fn) {
-        this.handlers = this.handlers.filter(
-            function (item) {
-                if (item !== fn) {
-                    return item;
+    deliver: function (topic, o, thisObj) {
+        // untopiced fire only reaches the catch-all subscribers, just like before topics existed
+        this.dispatch(function (item) {
+            return topic === '*' ? item.topic === '*' : topicMatches(item.topic, topic);
+        }, o, topic, thisObj);
+    },
+
+    send: function (topic, o, thisObj) {
+        if (!this.batchDepth && !this.deferred) return this.deliver(topic, o, thisObj);
+
+        var key = this.coalesceKey ? this.coalesceKey(topic, o) : undefined;
+        var queued = key === undefined ? null : this.queue.find(function (event) {
+            return event.key === key;
+        });
+        if (queued) {
+            queued.topic = topic;
+            queued.data = o;
+            queued.thisObj = thisObj;
+        } else {
+            this.queue.push({ key: key, topic: topic, data: o, thisObj: thisObj });
+        }
+
+        if (this.deferred && !this.batchDepth && !this.flushScheduled) {
+            this.flushScheduled = true;
+            var self = this;
+            queueMicrotask(function () {
+                self.flushScheduled = false;
+                // nobody is on the stack to catch a deferred flush's errors - report them instead of crashing
+                try {
+                    self.flush();
+                } catch (error) {
+                    Click.reportError(error);
                 }
+            });
+        }
+    },
+
+    // delivers everything queued so far; one event's failing handlers don't hold back the rest
+    flush: function () {
+        var errors = [];
+        while (this.queue.length) {
+            var event = this.queue.shift();
+            try {
+                this.deliver(event.topic, event.data, event.thisObj);
+            } catch (error) {
+                errors.push(error);
             }
-        );
+        }
+        if (errors.length) {
+            throw errors.length === 1 ? errors[0] : new AggregateError(errors, errors.length + " queued events failed");
+        }
+    },
+
+    batch: function (fn) {
+        var mark = this.queue.length;  // anything before this was queued outside the batch and stays
+        var result;
+        this.batchDepth++;
+        try {
+            result = fn.call(this, this);
+        } catch (error) {
+            this.queue.length = mark;
+            throw error;
+        } finally {
+            this.batchDepth--;
+        }
+        if (!this.batchDepth) this.flush();
+        return result;
+    },
+
+    emit: function (topic, o, thisObj) {
+        this.send(topic, o, thisObj);
     },
 
     fire: function (o, thisObj) {
-        var scope = thisObj || global || window;
-        this.handlers.forEach(function (item) {
-            item.call(scope, o);
+        this.send('*', o, thisObj);
+    },
+
+    // async dispatch - handlers may return promises and every one is awaited. options:
+    //   concurrency - how many handlers run at once (1 = one after another, the default; Infinity = all together)
+    //   thisObj     - scope, as for fire
+    // resolves to { results: [{ handler, value }], errors: [{ handler, error }] } in subscription order -
+    // errors are collected rather than thrown, and still reported to onError when one is set.
+    // Async dispatch bypasses batching/deferral: the caller is already choosing to wait
+    emitAsync: function (topic, o, options) {
+        options = options || {};
+        var scope = options.thisObj || global || window;
+        var concurrency = options.concurrency || 1;
+        var self = this;
+        var targets = this.handlers.slice().filter(function (item) {
+            return item.active && (topic === '*' ? item.topic === '*' : topicMatches(item.topic, topic));
+        });
+        var outcomes = new Array(targets.length);
+        var next = 0;
+
+        function worker() {
+            if (next >= targets.length) return Promise.resolve();
+            var index = next++;
+            var item = targets[index];
+            if (!item.active) return worker();
+            if (item.once) self.remove(item);
+            var args = item.pull ? [self.subject] : [o];
+            if (topic !== '*') args.push(topic);
+            return Promise.resolve()
+                .then(function () { return item.fn.apply(scope, args); })
+                .then(function (value) {
+                    outcomes[index] = { handler: item.fn, value: value };
+                }, function (error) {
+                    outcomes[index] = { handler: item.fn, error: error };
+                    if (self.onError) self.onError(error, { topic: topic, data: o, handler: item.fn });
+                })
+                .then(worker);
+        }
+
+        var workers = [];
+        for (var i = 0; i < Math.min(concurrency, targets.length); i++) workers.push(worker());
+        return Promise.all(workers).then(function () {
+            var settled = outcomes.filter(Boolean);
+            return {
+                results: settled.filter(function (outcome) { return !('error' in outcome); }),
+                errors: settled.filter(function (outcome) { return 'error' in outcome; })
+            };
+        });
+    },
+
+    fireAsync: function (o, options) {
+        return this.emitAsync('*', o, options);
+    },
+
+    // the subject as an async iterable: for await (const event of click.stream('cart.*')) { ... }
+    stream: function (topic, options) {
+        return new ClickStream(this, topic || '*', options);
+    }
+}
+
+// Buffered event stream over a Click. Events wait in a buffer of bufferSize until the consumer pulls them; when the
+// consumer falls behind the policy decides what happens to new events:
+//   'drop-oldest' - make room by discarding the oldest buffered event
+//   'drop-newest' - discard the incoming event
+//   'block'       - the event waits for room, and the handler returns a promise that settles once it's buffered,
+//                   so fireAsync/emitAsync producers are held back until the consumer catches up. Sync fire/emit
+//                   can't wait on that promise, so at most maxWaiting events (default bufferSize) are held; past
+//                   that the overflow policy ('drop-newest' by default, or 'drop-oldest') applies
+// stream.dropped counts discarded events. Breaking out of for await (or calling return()) unsubscribes
+function ClickStream(click, topic, options) {
+    options = options || {};
+    this.bufferSize = options.bufferSize || 100;
+    this.policy = options.policy || 'block';
+    if (['drop-oldest', 'drop-newest', 'block'].indexOf(this.policy) === -1) {
+        throw new Error("Unknown stream policy '" + this.policy + "' - use drop-oldest, drop-newest or block");
+    }
+    this.maxWaiting = options.maxWaiting || this.bufferSize;
+    this.overflow = options.overflow || 'drop-newest';
+    if (['drop-oldest', 'drop-newest'].indexOf(this.overflow) === -1) {
+        throw new Error("Unknown stream overflow '" + this.overflow + "' - use drop-oldest or drop-newest");
+    }
+    this.topic = topic;
+    this.buffer = [];
+    this.writers = [];   // blocked events waiting for room: { value, accept }
+    this.readers = [];   // consumers waiting for an event: resolve functions
+    this.dropped = 0;
+    this.closed = false;
+    var self = this;
+    // always push - on a pull-model Click the handler would otherwise be handed the subject instead of the event data
+    this.unsubscribe = click.subscribe(topic, function (data, eventTopic) {
+        return self.push({ topic: eventTopic || '*', data: data });
+    }, { pull: false });
+}
+
+ClickStream.prototype = {
+
+    push: function (value) {
+        if (this.closed) return;
+        if (this.readers.length) {
+            this.readers.shift()({ value: value, done: false });
+            return;
+        }
+        if (this.buffer.length < this.bufferSize) {
+            this.buffer.push(value);
+            return;
+        }
+        var policy = this.policy;
+        if (policy === 'block' && this.writers.length >= this.maxWaiting) policy = this.overflow;
+        if (policy === 'drop-newest') {
+            this.dropped++;
+            return;
+        }
+        if (policy === 'drop-oldest') {
+            this.buffer.shift();
+            this.dropped++;
+            if (this.writers.length) {
+                // the oldest waiting event takes the freed slot and the new one queues behind the rest
+                var writer = this.writers.shift();
+                this.buffer.push(writer.value);
+                writer.accept();
+            } else {
+                this.buffer.push(value);
+                return;
+            }
+        }
+        var writers = this.writers;
+        return new Promise(function (accept) {
+            writers.push({ value: value, accept: accept });
+        });
+    },
+
+    next: function () {
+        if (this.buffer.length) {
+            var value = this.buffer.shift();
+            if (this.writers.length) {
+                var writer = this.writers.shift();
+                this.buffer.push(writer.value);
+                writer.accept();
+            }
+            return Promise.resolve({ value: value, done: false });
+        }
+        if (this.closed) return Promise.resolve({ value: undefined, done: true });
+        var readers = this.readers;
+        return new Promise(function (resolve) {
+            readers.push(resolve);
+        });
+    },
+
+    return: function () {
+        if (!this.closed) {
+            this.closed = true;
+            this.unsubscribe();
+            this.readers.forEach(function (resolve) { resolve({ value: undefined, done: true }); });
+            this.writers.forEach(function (writer) { writer.accept(); });
+            this.readers = [];
+            this.writers = [];
+        }
+        return Promise.resolve({ value: undefined, done: true });
+    }
+}
+
+ClickStream.prototype[Symbol.asyncIterator] = function () {
+    return this;
+}
+
+// where deferred handler errors end up when a Click has no onError - replace it to route them elsewhere
+Click.reportError = function (error) {
+    console.error(error);
+}
+
+// ChangeManager - mediator between many subjects and observers (see "Encapsulating complex update semantics" above).
+// It owns the subject -> observers mapping so neither side keeps references to the other; subjects just report
+// manager.changed(this), and the strategy decides when and how observers get updated:
+//  - simple: every change updates that subject's observers right away
+//  - dag: changes are collected until notify(), then each affected observer is updated exactly once, after all of
+//    its changed subjects - observers that are themselves subjects cascade in dependency (topological) order
+// Observers are objects with update(changedSubjects, manager), or plain functions with the same signature.
+function ChangeManager(strategy) {
+    this.mapping = new Map();  // subject -> Set of observers
+    this.strategy = strategy || ChangeManager.strategies.simple();
+}
+
+ChangeManager.prototype = {
+
+    register: function (subject, observer) {
+        if (!this.mapping.has(subject)) this.mapping.set(subject, new Set());
+        this.mapping.get(subject).add(observer);
+    },
+
+    // unregister(subject, observer) drops one link, unregister(subject) forgets the subject entirely
+    unregister: function (subject, observer) {
+        if (!this.mapping.has(subject)) return false;
+        if (observer === undefined) return this.mapping.delete(subject);
+        var removed = this.mapping.get(subject).delete(observer);
+        if (!this.mapping.get(subject).size) this.mapping.delete(subject);
+        return removed;
+    },
+
+    observersOf: function (subject) {
+        return Array.from(this.mapping.get(subject) || []);
+    },
+
+    subjectsOf: function (observer) {
+        var subjects = [];
+        this.mapping.forEach(function (observers, subject) {
+            if (observers.has(observer)) subjects.push(subject);
         });
+        return subjects;
+    },
+
+    changed: function (subject) {
+        this.strategy.changed(this, subject);
+    },
+
+    notify: function () {
+        this.strategy.notify(this);
+    },
+
+    update: function (observer, subjects) {
+        if (typeof observer === 'function') observer(subjects, this);
+        else observer.update(subjects, this);
     }
 }
 
+ChangeManager.strategies = {
+
+    simple: function () {
+        return {
+            changed: function (manager, subject) {
+                manager.observersOf(subject).forEach(function (observer) {
+                    manager.update(observer, [subject]);
+                });
+            },
+            notify: function () { /* nothing is ever pending */ }
+        };
+    },
+
+    dag: function () {
+        var pending = new Set();
+        return {
+            changed: function (manager, subject) {
+                pending.add(subject);
+            },
+            notify: function (manager) {
+                var dirty = new Set(pending);
+                pending.clear();
+
+                // every observer reachable from a changed subject, following observers that are subjects too
+                var affected = new Set();
+                var queue = Array.from(dirty);
+                while (queue.length) {
+                    manager.observersOf(queue.shift()).forEach(function (observer) {
+                        if (affected.has(observer)) return;
+                        affected.add(observer);
+                        if (manager.mapping.has(observer)) queue.push(observer);
+                    });
+                }
+
+                // Kahn's algorithm over the affected observers: wait on affected upstream subjects only
+                var waitingOn = new Map();
+                affected.forEach(function (observer) {
+                    waitingOn.set(observer, manager.subjectsOf(observer).filter(function (subject) {
+                        return affected.has(subject);
+                    }).length);
+                });
+                var ready = Array.from(affected).filter(function (observer) {
+                    return waitingOn.get(observer) === 0;
+                });
+                var updated = 0;
+                while (ready.length) {
+                    var observer = ready.shift();
+                    var changedSubjects = manager.subjectsOf(observer).filter(function (subject) {
+                        return dirty.has(subject);
+                    });
+                    manager.update(observer, changedSubjects);
+                    updated++;
+                    dirty.add(observer);
+                    manager.observersOf(observer).forEach(function (downstream) {
+                        if (!affected.has(downstream)) return;
+                        waitingOn.set(downstream, waitingOn.get(downstream) - 1);
+                        if (waitingOn.get(downstream) === 0) ready.push(downstream);
+                    });
+                }
+                if (updated < affected.size) {
+                    throw new Error("ChangeManager: subject/observer links contain a cycle");
+                }
+            }
+        };
+    }
+}
+
+// usually only one ChangeManager is needed and it's known globally (Singleton)
+ChangeManager.getInstance = function () {
+    if (!ChangeManager.instance) ChangeManager.instance = new ChangeManager(ChangeManager.strategies.dag());
+    return ChangeManager.instance;
+}
+
 function run() {
 
     var clickHandler = function (item) {
@@ -105,6 +590,57 @@ function run() {
     click.subscribe(clickHandler);
     // console.log("handlers:", click.handlers)
     click.fire('event #3');
+
+    // topics, wildcards, priorities and one-shot handlers
+
+    var cart = new Click();
+
+    cart.subscribe('cart.*', function (item, topic) {
+        console.log(topic + ": " + item);
+    });
+    cart.subscribe('cart.add', function (item) {
+        console.log("first to hear about " + item);
+    }, { priority: 10 });
+    cart.once('cart.checkout', function () {
+        console.log("checkout only announced once");
+    });
+
+    cart.emit('cart.add', 'apples');
+    cart.emit('cart.remove', 'apples');
+    cart.emit('cart.checkout', 'order #1');
+    cart.emit('cart.checkout', 'order #2');
+
+    // a grid edit touching the same cells repeatedly - batched and coalesced by cell into one update per cell
+
+    var grid = new Click({
+        coalesceKey: function (topic, change) { return topic + ':' + change.cell; }
+    });
+    grid.subscribe('cell.changed', function (change) {
+        console.log("cell " + change.cell + " is now " + change.value);
+    });
+    grid.batch(function () {
+        grid.emit('cell.changed', { cell: 'A1', value: 1 });
+        grid.emit('cell.changed', { cell: 'A1', value: 2 });
+        grid.emit('cell.changed', { cell: 'B2', value: 'x' });
+    });
+
+    // one dashboard, two data sources - the DAG strategy renders it once per batch of changes
+
+    var manager = new ChangeManager(ChangeManager.strategies.dag());
+    var sales = { name: "sales", total: 0 };
+    var visits = { name: "visits", total: 0 };
+    var dashboard = function (changed) {
+        console.log("dashboard re-rendered for: " + changed.map(function (subject) { return subject.name; }).join(", "));
+    };
+
+    manager.register(sales, dashboard);
+    manager.register(visits, dashboard);
+
+    sales.total += 10;
+    manager.changed(sales);
+    visits.total += 100;
+    manager.changed(visits);
+    manager.notify();
 }
 
-module.exports = {Click, run}
\ No newline at end of file
+module.exports = {Click, ClickStream, ChangeManager, topicMatches, run}
\ No newline at end of file